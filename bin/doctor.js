@@ -1,220 +1,127 @@
 #!/usr/bin/env node
 
-const https = require('https');
 const fs = require('fs');
-const path = require('path');
-const { execSync } = require('child_process');
+const { OPENCLAW_DIR } = require('../lib/skills');
+const { commandExists } = require('../lib/targets');
+const { listChecks, runCheck } = require('../lib/checks');
+const { parseArgs, closest } = require('../lib/args');
+const output = require('../lib/output');
 
-const OPENCLAW_DIR = path.join(process.env.HOME, '.openclaw', 'skills');
+const { EXIT, colors, textStream } = output;
+
+// Options `skunk doctor` accepts, for when this file is run directly
+const DOCTOR_OPTIONS = ['fix', 'yes', 'check'];
 
 // ═══════════════════════════════════════════════════════════════════════════
-// Colors and utilities (matching skunk.js style)
+// Results
+//
+// Every check result is printed and recorded, for --json, with the id of
+// its check and the section it was printed under
 // ═══════════════════════════════════════════════════════════════════════════
 
-const colors = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  dim: '\x1b[2m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  red: '\x1b[31m',
-  cyan: '\x1b[36m',
-};
+const checks = [];
+const MARKS = { ok: output.success, warning: output.warn, error: output.error, info: output.info };
+
+function report(check, result) {
+  const { fix, ...fields } = result;
+  checks.push({ section: check.title, ...fields });
+  MARKS[result.status](result.message);
+  if (result.remediation) {
+    console.log(`  ${colors.dim}${result.remediation}${colors.reset}`);
+  }
+  if (fix) {
+    fixes.push({ id: check.id, section: check.title, ...fix });
+  }
+}
 
-function success(msg) { console.log(`${colors.green}✓${colors.reset} ${msg}`); }
-function warn(msg) { console.log(`${colors.yellow}!${colors.reset} ${msg}`); }
-function error(msg) { console.log(`${colors.red}✗${colors.reset} ${msg}`); }
-function info(msg) { console.log(`${colors.cyan}ℹ${colors.reset} ${msg}`); }
+// The checks named by --check=<ids>, or all of them. Null after reporting
+// an unknown id.
+function selectChecks(all, ids) {
+  if (!ids) return all;
+  
+  const wanted = ids.split(',').map(id => id.trim()).filter(Boolean);
+  for (const id of wanted) {
+    if (!all.some(check => check.id === id)) {
+      const known = all.map(check => check.id);
+      const guess = closest(id, known);
+      output.error(`Unknown check "${id}".${guess ? ` Did you mean "${guess}"?` : ''} Checks: ${known.join(', ')}`, EXIT.USAGE);
+      return null;
+    }
+  }
+  return all.filter(check => wanted.includes(check.id));
+}
 
 // ═══════════════════════════════════════════════════════════════════════════
-// Diagnostic Functions
+// Fixes
+//
+// Checks offer fixes for the problems they know how to repair. With --fix
+// each one is confirmed (or not, with --yes) and applied after all checks
+// have run; without it doctor only says how many could be.
 // ═══════════════════════════════════════════════════════════════════════════
 
-function commandExists(cmd) {
-  try {
-    execSync(`which ${cmd}`, { stdio: 'ignore' });
-    return true;
-  } catch {
-    return false;
-  }
-}
+const fixes = [];
 
-function checkClawdbot() {
-  console.log(`${colors.bright}Checking OpenClaw/Clawdbot...${colors.reset}`);
-  
-  // Check for clawdbot command
-  const hasClawdbot = commandExists('clawdbot');
-  if (hasClawdbot) {
-    try {
-      const output = execSync('clawdbot version', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] });
-      const version = output.trim();
-      success(`Clawdbot installed: ${version}`);
-      
-      // Check if gateway is running
-      try {
-        const status = execSync('clawdbot gateway status', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] });
-        if (status.includes('running') || status.includes('active')) {
-          success(`Gateway is running`);
-        } else {
-          warn(`Gateway is not running`);
-          console.log(`  ${colors.dim}Start with: clawdbot gateway start${colors.reset}`);
-        }
-      } catch (e) {
-        warn(`Could not check gateway status`);
-        console.log(`  ${colors.dim}Try: clawdbot gateway status${colors.reset}`);
-      }
-    } catch (e) {
-      warn(`Clawdbot found but version check failed`);
+async function applyFixes({ fix, assumeYes }) {
+  if (!fix) {
+    if (fixes.length > 0) {
+      const count = `${fixes.length} problem${fixes.length === 1 ? '' : 's'}`;
+      console.log(`${colors.dim}${count} can be repaired with: skunk doctor --fix${colors.reset}\n`);
     }
-  } else {
-    error(`Clawdbot not found in PATH`);
-    console.log(`  ${colors.dim}Install from: https://skunkglobal.com/guides/openclaw-wordpress${colors.reset}`);
+    return;
   }
   
-  console.log('');
-}
-
-function checkWordPressTools() {
-  console.log(`${colors.bright}Checking WordPress tools...${colors.reset}`);
+  console.log(`${colors.bright}Fixing problems...${colors.reset}`);
   
-  // Check WP-CLI
-  const hasWpCli = commandExists('wp');
-  if (hasWpCli) {
-    try {
-      const output = execSync('wp --version', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] });
-      const version = output.trim().replace('WP-CLI ', '');
-      success(`WP-CLI installed: ${version}`);
-    } catch (e) {
-      warn(`WP-CLI found but version check failed`);
-    }
-  } else {
-    warn(`WP-CLI not found`);
-    console.log(`  ${colors.dim}Install from: https://wp-cli.org/${colors.reset}`);
+  if (fixes.length === 0) {
+    console.log(`  ${colors.dim}Nothing to fix${colors.reset}\n`);
+    output.setOutput({ fixes: [] });
+    return;
   }
   
-  // Check WordPress Studio
-  const hasStudio = commandExists('studio');
-  if (hasStudio) {
+  const results = [];
+  for (const { id, section, description, apply } of fixes) {
+    if (!assumeYes && !(await confirm(`${description}?`))) {
+      results.push({ id, section, description, status: 'skipped' });
+      continue;
+    }
     try {
-      const output = execSync('studio --version', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] });
-      const version = output.trim();
-      success(`WordPress Studio installed: ${version}`);
+      const message = (await apply()) || description;
+      output.success(message);
+      results.push({ id, section, description, status: 'fixed', message });
     } catch (e) {
-      warn(`WordPress Studio found but version check failed`);
+      output.error(`${description} failed: ${e.message}`);
+      results.push({ id, section, description, status: 'failed', message: e.message });
     }
-  } else {
-    info(`WordPress Studio not found (optional)`);
-    console.log(`  ${colors.dim}Install from: https://developer.wordpress.org/studio/${colors.reset}`);
-  }
-  
-  if (!hasWpCli && !hasStudio) {
-    error(`No WordPress CLI tools found`);
-    console.log(`  ${colors.yellow}At least one is required for plugin installation${colors.reset}`);
   }
   
-  console.log('');
-}
-
-function checkInstalledSkills() {
-  console.log(`${colors.bright}Checking installed skills...${colors.reset}`);
-  
-  if (!fs.existsSync(OPENCLAW_DIR)) {
-    warn(`Skills directory does not exist: ${OPENCLAW_DIR}`);
-    console.log(`  ${colors.dim}This will be created when you install your first skill${colors.reset}`);
-    console.log('');
-    return;
+  const count = status => results.filter(r => r.status === status).length;
+  console.log(`\n${colors.bright}Summary:${colors.reset} ${count('fixed')} fixed, ${count('skipped')} skipped, ${count('failed')} failed`);
+  for (const result of results) {
+    const mark = { fixed: `${colors.green}✓`, skipped: `${colors.dim}-`, failed: `${colors.red}✗` }[result.status];
+    console.log(`  ${mark}${colors.reset} ${result.status === 'fixed' ? result.message : result.description}`);
   }
-  
-  const entries = fs.readdirSync(OPENCLAW_DIR);
-  const skills = entries.filter(f => {
-    const skillPath = path.join(OPENCLAW_DIR, f);
-    return fs.statSync(skillPath).isDirectory();
-  });
-  
-  if (skills.length === 0) {
-    warn(`No skills found in ${OPENCLAW_DIR}`);
-    console.log(`  ${colors.dim}Install skills with: skunk install skill <name>${colors.reset}`);
-  } else {
-    success(`Found ${skills.length} skill${skills.length === 1 ? '' : 's'}:`);
-    
-    for (const skill of skills) {
-      const skillDir = path.join(OPENCLAW_DIR, skill);
-      const skillMdPath = path.join(skillDir, 'SKILL.md');
-      const configPath = path.join(skillDir, 'config.json');
-      
-      let status = [];
-      
-      // Check SKILL.md
-      if (fs.existsSync(skillMdPath)) {
-        status.push(`${colors.green}SKILL.md${colors.reset}`);
-      } else {
-        status.push(`${colors.red}missing SKILL.md${colors.reset}`);
-      }
-      
-      // Check config.json
-      if (fs.existsSync(configPath)) {
-        try {
-          const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-          status.push(`${colors.green}config.json${colors.reset}`);
-        } catch (e) {
-          status.push(`${colors.yellow}invalid config.json${colors.reset}`);
-        }
-      } else {
-        status.push(`${colors.dim}no config.json${colors.reset}`);
-      }
-      
-      console.log(`  ${colors.cyan}●${colors.reset} ${skill} (${status.join(', ')})`);
-    }
+  if (count('skipped') > 0 && !process.stdin.isTTY && !assumeYes) {
+    console.log(`${colors.dim}Not running interactively; pass --yes to apply fixes without asking.${colors.reset}`);
   }
-  
   console.log('');
+  
+  output.setOutput({ fixes: results });
 }
 
-async function checkConnectivity() {
-  console.log(`${colors.bright}Checking connectivity...${colors.reset}`);
-  
-  // Test connection to main API
-  try {
-    await testUrl('https://skunkglobal.com/api/plugins/versions');
-    success(`skunkglobal.com API is reachable`);
-  } catch (e) {
-    error(`Cannot reach skunkglobal.com API`);
-    console.log(`  ${colors.dim}Error: ${e.message}${colors.reset}`);
-  }
+// Ask a yes/no question. Non-interactive runs get "no".
+async function confirm(question) {
+  if (!process.stdin.isTTY) return false;
   
-  // Test GitHub skills repository
-  try {
-    await testUrl('https://api.github.com/repos/skunkceo/openclaw-skills/contents/skills');
-    success(`GitHub skills repository is reachable`);
-  } catch (e) {
-    error(`Cannot reach GitHub skills repository`);
-    console.log(`  ${colors.dim}Error: ${e.message}${colors.reset}`);
-  }
+  const rl = require('readline').createInterface({ input: process.stdin, output: textStream });
+  const answer = await new Promise(resolve => rl.question(`${question} (y/N) `, resolve));
+  rl.close();
   
-  console.log('');
+  return answer.toLowerCase().startsWith('y');
 }
 
-function testUrl(url) {
-  return new Promise((resolve, reject) => {
-    const request = https.get(url, { 
-      headers: { 'User-Agent': 'skunk-cli-doctor' },
-      timeout: 10000 
-    }, (res) => {
-      if (res.statusCode >= 200 && res.statusCode < 300) {
-        resolve();
-      } else {
-        reject(new Error(`HTTP ${res.statusCode}`));
-      }
-      res.resume(); // Consume response to free up memory
-    });
-    
-    request.on('error', reject);
-    request.on('timeout', () => {
-      request.destroy();
-      reject(new Error('Connection timeout'));
-    });
-  });
-}
+// ═══════════════════════════════════════════════════════════════════════════
+// Suggestions
+// ═══════════════════════════════════════════════════════════════════════════
 
 function provideSuggestions() {
   console.log(`${colors.bright}💡 Recommendations:${colors.reset}\n`);
@@ -255,27 +162,48 @@ function provideSuggestions() {
 // Main Doctor Function
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function runDiagnostics() {
+// Run the checks and report them. flags are `skunk doctor`'s options, as
+// parsed by lib/args: fix, yes and check (comma-separated ids).
+async function runDiagnostics(flags = {}) {
+  const ids = flags.check;
+  const options = { fix: Boolean(flags.fix), assumeYes: Boolean(flags.yes) };
+  
   console.log(`${colors.bright}🩺 Skunk CLI Doctor${colors.reset}\n`);
   console.log(`${colors.dim}Checking your setup...${colors.reset}\n`);
   
   try {
-    checkClawdbot();
-    checkWordPressTools();
-    checkInstalledSkills();
-    await checkConnectivity();
-    provideSuggestions();
+    const selected = selectChecks(listChecks(), ids);
+    if (!selected) return;
+    
+    for (const check of selected) {
+      console.log(`${colors.bright}Checking ${check.title}...${colors.reset}`);
+      for (const result of await runCheck(check)) {
+        report(check, result);
+      }
+      console.log('');
+    }
+    
+    await applyFixes(options);
+    if (!output.json && !ids) provideSuggestions();
   } catch (e) {
-    error(`Doctor failed: ${e.message}`);
+    output.error(`Doctor failed: ${e.message}`);
+  } finally {
+    output.setOutput({ checks });
   }
 }
 
-// Run if called directly or when required
+// skunk.js runs the diagnostics itself and prints the JSON document
 if (require.main === module) {
-  runDiagnostics();
-} else {
-  // When required from another file, run immediately  
-  runDiagnostics();
+  let flags = {};
+  try {
+    flags = parseArgs('doctor', process.argv.slice(2), DOCTOR_OPTIONS).options;
+  } catch (e) {
+    output.error(e.message, EXIT.USAGE);
+  }
+  const finished = process.exitCode ? Promise.resolve() : runDiagnostics(flags);
+  finished.then(() => {
+    if (output.json) output.printJson('doctor');
+  });
 }
 
-module.exports = { runDiagnostics };
\ No newline at end of file
+module.exports = { runDiagnostics };
@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const readline = require('readline');
+const { findSkill } = require('../lib/sources');
+const { OPENCLAW_DIR, commitSkills } = require('../lib/skills');
+const { lockSkill } = require('../lib/lockfile');
+const { validateSkill } = require('../lib/manifest');
+const { resolveDependencies } = require('../lib/deps');
+const { commandExists } = require('../lib/targets');
+const { colors, textStream, success, warn, error } = require('../lib/output');
 
 // ═══════════════════════════════════════════════════════════════════════════
 // ASCII Art
@@ -24,47 +30,14 @@ const SKUNK_LOGO = `
 // Utilities
 // ═══════════════════════════════════════════════════════════════════════════
 
-const colors = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  dim: '\x1b[2m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  red: '\x1b[31m',
-  cyan: '\x1b[36m',
-  magenta: '\x1b[35m',
-  white: '\x1b[37m',
-};
-
 function log(msg = '') {
   console.log(msg);
 }
 
-function success(msg) {
-  console.log(`${colors.green}✓${colors.reset} ${msg}`);
-}
-
-function warn(msg) {
-  console.log(`${colors.yellow}!${colors.reset} ${msg}`);
-}
-
-function error(msg) {
-  console.log(`${colors.red}✗${colors.reset} ${msg}`);
-}
-
 function step(num, total, msg) {
   console.log(`\n${colors.cyan}[${num}/${total}]${colors.reset} ${colors.bright}${msg}${colors.reset}`);
 }
 
-function commandExists(cmd) {
-  try {
-    execSync(`which ${cmd}`, { stdio: 'ignore' });
-    return true;
-  } catch {
-    return false;
-  }
-}
-
 function getVersion(cmd) {
   try {
     return execSync(`${cmd} --version`, { encoding: 'utf8' }).trim().split('\n')[0];
@@ -79,7 +52,7 @@ function getVersion(cmd) {
 
 const rl = readline.createInterface({
   input: process.stdin,
-  output: process.stdout,
+  output: textStream,
 });
 
 function ask(question) {
@@ -100,55 +73,31 @@ async function confirm(question, defaultYes = true) {
 // ═══════════════════════════════════════════════════════════════════════════
 
 async function installSkill(skillName) {
-  const skillsDir = path.join(process.env.HOME, '.openclaw', 'skills');
-  const skillDir = path.join(skillsDir, skillName);
+  const skillDir = path.join(OPENCLAW_DIR, skillName);
 
   if (fs.existsSync(skillDir)) {
     return { status: 'exists' };
   }
 
-  // Fetch from GitHub
-  const files = ['SKILL.md', 'config.json'];
-  fs.mkdirSync(skillDir, { recursive: true });
-
-  for (const file of files) {
-    const url = `https://raw.githubusercontent.com/skunkceo/openclaw-skills/main/skills/${skillName}/${file}`;
-    try {
-      const content = await fetchFile(url);
-      if (content) {
-        fs.writeFileSync(path.join(skillDir, file), content);
-      }
-    } catch (e) {
-      // Optional files may not exist
+  // Same sources, full-directory fetch and lockfile as `skunk install skill`
+  try {
+    const match = await findSkill(skillName);
+    if (!match || validateSkill(skillName, match.files).errors.length > 0) {
+      return { status: 'failed' };
     }
-  }
 
-  if (fs.existsSync(path.join(skillDir, 'SKILL.md'))) {
+    // Install it together with anything it declares it requires
+    const all = [...await resolveDependencies(skillName, match.files), { name: skillName, match }];
+    const hashes = commitSkills(all.map(dep => ({ name: dep.name, files: dep.match.files })));
+    for (const dep of all) {
+      lockSkill(dep.name, { ...dep.match.source.lockInfo(), ref: dep.match.ref, commit: dep.match.commit, files: hashes[dep.name] });
+    }
     return { status: 'installed' };
-  } else {
-    fs.rmSync(skillDir, { recursive: true, force: true });
+  } catch (e) {
     return { status: 'failed' };
   }
 }
 
-function fetchFile(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { 'User-Agent': 'skunk-cli' } }, (res) => {
-      if (res.statusCode === 404) {
-        resolve(null);
-        return;
-      }
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
-      let data = '';
-      res.on('data', (chunk) => (data += chunk));
-      res.on('end', () => resolve(data));
-    }).on('error', reject);
-  });
-}
-
 // ═══════════════════════════════════════════════════════════════════════════
 // Main Setup Flow
 // ═══════════════════════════════════════════════════════════════════════════
@@ -230,7 +179,8 @@ async function main() {
   log(`   ${colors.dim}and Skunk products. Installing the essentials...${colors.reset}`);
   log('');
 
-  // Core skills that enable WordPress + Skunk workflow
+  // Core skills that enable WordPress + Skunk workflow (anything these
+  // require is installed alongside them)
   const coreSkills = [
     { name: 'skunk-cli', desc: 'Skunk CLI for installing plugins & skills' },
     { name: 'wordpress-studio', desc: 'WordPress site management' },
@@ -241,7 +191,7 @@ async function main() {
   ];
   
   for (const skill of coreSkills) {
-    process.stdout.write(`   ${skill.name} `);
+    textStream.write(`   ${skill.name} `);
     const result = await installSkill(skill.name);
     if (result.status === 'installed') {
       log(`${colors.green}✓${colors.reset} ${colors.dim}${skill.desc}${colors.reset}`);
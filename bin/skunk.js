@@ -1,132 +1,541 @@
 #!/usr/bin/env node
 
-const https = require('https');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync, spawn } = require('child_process');
+const { execSync, spawn, spawnSync } = require('child_process');
+const {
+  BUILTIN_SOURCE, listSources, addSource, removeSource, describeSource, createSource,
+  sourceFromLockEntry, parseSkillSpec, fetchSkill, findSkill,
+} = require('../lib/sources');
+const { LOCKFILE_NAME, getLockfilePath, readLockfile, lockSkill, unlockSkill, hashContent } = require('../lib/lockfile');
+const {
+  OPENCLAW_DIR, SKILL_NAME_RE, checkSkillName, checkSkillPath, commitSkill, commitSkills, pathExists, isLinkedSkill,
+} = require('../lib/skills');
+const { resolveDependencies, findDependents } = require('../lib/deps');
+const { validateSkill, getRequirements } = require('../lib/manifest');
+const semver = require('../lib/semver');
+const { VERSIONS_URL, getProducts, updateRegistry, refreshRegistry, findProduct, pluginSlug } = require('../lib/registry');
+const { configureHttp, fetchBuffer, fetchStatus, fetchJson, isNetworkError } = require('../lib/http');
+const { trustedKey, verifyDownload } = require('../lib/integrity');
+const {
+  CREDENTIALS_FILE, envName, getLicense, addLicense, removeLicense, listLicenses, maskKey, redactSecrets,
+  fetchLicenseStatus, isSiteActivated,
+} = require('../lib/licenses');
+const {
+  cachePluginZip, getCachedZip, recordInstall, previousVersion, recordRollback,
+} = require('../lib/plugin-cache');
+const {
+  EXIT, json, colors, textStream, success, warn, error, fail, setOutput, addResult, printJson,
+} = require('../lib/output');
+const {
+  DEFAULT_CONCURRENCY, commandExists, listSites, addSite, removeSite, parseTargetArgs, describeSpec, resolveTarget, mapLimit,
+} = require('../lib/targets');
+const { parseArgs, formatOptions, closest, formatHelp } = require('../lib/args');
+const { SHELLS, completionScript, complete } = require('../lib/completion');
+const { listChecks } = require('../lib/checks');
 
-const SKILLS_REPO = 'skunkceo/openclaw-skills';
-const SKILLS_BRANCH = 'main';
-const OPENCLAW_DIR = path.join(process.env.HOME, '.openclaw', 'skills');
+const SKILLS_BACKUP_DIR = path.join(process.env.HOME, '.openclaw', 'skills-backup');
 
-// Plugin registry - maps plugin names to slugs
 // All downloads go through skunkglobal.com/api/plugin-updates/download
-const PLUGIN_REGISTRY = {
-  'skunkcrm': {
-    slug: 'skunkcrm',
-    proSlug: 'skunkcrm-pro',
-    name: 'SkunkCRM',
-  },
-  'skunkforms': {
-    slug: 'skunkforms',
-    proSlug: 'skunkforms-pro',
-    name: 'SkunkForms',
-  },
-  'skunkpages': {
-    slug: 'skunkpages',
-    proSlug: 'skunkpages-pro',
-    name: 'SkunkPages',
-  },
-};
-
 const DOWNLOAD_BASE = 'https://skunkglobal.com/api/plugin-updates/download';
+const MAX_PLUGIN_BYTES = 100 * 1024 * 1024;
 
-const colors = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  dim: '\x1b[2m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  red: '\x1b[31m',
-  cyan: '\x1b[36m',
-};
-
-function success(msg) { console.log(`${colors.green}✓${colors.reset} ${msg}`); }
-function warn(msg) { console.log(`${colors.yellow}!${colors.reset} ${msg}`); }
-function error(msg) { console.log(`${colors.red}✗${colors.reset} ${msg}`); }
+// Plugin versions are reused for a few minutes before asking again
+const VERSIONS_TTL = 5 * 60 * 1000;
 
-// Parse arguments
-const args = process.argv.slice(2);
+// Parse arguments. --offline, --json and --no-color work with any command;
+// lib/output reads the last two itself. Anything after "--" is an argument.
+const GLOBAL_FLAGS = ['--offline', '--json', '--no-color'];
+const argv = process.argv.slice(2);
+const optionsEnd = argv.includes('--') ? argv.indexOf('--') : argv.length;
+const offline = argv.slice(0, optionsEnd).includes('--offline') || process.env.SKUNK_OFFLINE === '1';
+const args = [
+  ...argv.slice(0, optionsEnd).filter(arg => !GLOBAL_FLAGS.includes(arg)),
+  ...argv.slice(optionsEnd),
+];
 const command = args[0] || 'help';
 
-// Route commands
-switch (command) {
-  case 'install':
-    handleInstall(args.slice(1));
-    break;
-  case 'remove':
-    handleRemove(args.slice(1));
-    break;
-  case 'list':
-    listSkills();
-    break;
-  case 'available':
-    listAvailable();
-    break;
-  case 'plugins':
-    listPlugins();
-    break;
-  case 'status':
-    checkStatus();
-    break;
-  case 'versions':
-    showVersions(null);
-    break;
-  case 'version':
-    showVersions(args[1]);
-    break;
-  case 'update':
-    handleUpdate();
-    break;
-  case 'doctor':
-    runDoctor();
-    break;
-  case 'setup':
-    runSetup();
-    break;
-  case 'help':
-  case '--help':
-  case '-h':
-    showHelp();
-    break;
-  default:
-    console.log(`Unknown command: ${command}`);
-    showHelp();
-}
+// Say once per command when data comes from the cache rather than the network
+let reportedCache = false;
+configureHttp({
+  offline,
+  onCached({ fetchedAt, reason }) {
+    if (reportedCache) return;
+    reportedCache = true;
+    const age = formatAge(Date.now() - fetchedAt.getTime());
+    warn(reason === 'offline'
+      ? `Offline: using cached data from ${age}`
+      : `Network unavailable (${reason}): using cached data from ${age}`);
+  },
+});
 
 // ═══════════════════════════════════════════════════════════════════════════
-// Install Handler
+// Commands
+//
+// Every command declares the options it accepts (described in lib/args),
+// its help, what its arguments complete to in the shell (lib/completion)
+// and whether it looks plugins up by name, in which case it runs with the
+// latest plugin registry. A command given --help prints its help instead.
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function handleInstall(args) {
-  const type = args[0];
-  const name = args[1];
-  const extraArgs = args.slice(2);
-  
-  if (!type || !name) {
-    console.log(`
+const TARGET_OPTIONS = ['site', 'path', 'ssh', 'studio'];
+const BULK_OPTIONS = ['sites', 'all-sites', 'concurrency'];
+
+const COMMANDS = {
+  setup: {
+    summary: 'Interactive setup wizard',
+    run: () => runSetup(),
+  },
+  doctor: {
+    summary: 'Diagnose your setup and check health',
+    help: `
+Usage:
+  skunk doctor                   Check your setup and report problems
+  skunk doctor --check=<ids>     Run only some checks, e.g. --check=wp-cli,connectivity
+  skunk doctor --fix [--yes]     Repair what can be repaired safely
+
+Checks: clawdbot, wp-cli, skills, connectivity, and skill:<name> for each
+installed skill whose config.json lists requirements ("requires").
+
+--fix creates the skills directory if it's missing, re-fetches skills
+that lost their SKILL.md, moves unparseable config.json files to
+~/.skunk/quarantine and starts the Clawdbot gateway when it's stopped.
+It asks before each fix unless --yes is given, and ends with a summary
+of what changed.
+`,
+    options: ['fix', 'yes', 'check'],
+    run: (positionals, options) => runDoctor(options),
+  },
+  install: {
+    summary: "Install a product's AI skill and WordPress plugin, a skill or a plugin",
+    help: `
 Usage:
+  skunk install <product>        Install a product's AI skill and WordPress plugin
   skunk install skill <name>     Install an AI skill
-  skunk install plugin <name>    Install a WordPress plugin
+  skunk install skill <name>@<ref> [--force]
+                                 Install a skill at a tag, branch or commit
+  skunk install skill <name> --no-deps
+                                 Install a skill without the skills it requires
+  skunk install skill <path|.tgz> [--link]
+                                 Install a skill from a local directory or tarball
+  skunk install plugin <name>[@<version>] [target]
+                                 Install a WordPress plugin, optionally a
+                                 specific release
+  skunk install --frozen         Install exactly the skills in skunk.lock
+
+Plugins install in the current directory unless given a target:
+--site=<name>, --path=<dir>, --ssh=<user@host/path>, @<alias> or
+--studio=<site>; or on many saved sites with --sites=<a,b,group:name>
+or --all-sites. See "skunk sites".
+
+Downloads are checked against the checksums their source publishes;
+--skip-verify installs without checking.
 
 Examples:
+  skunk install skunkforms
+  skunk install skunkcrm-pro --license=XXXX
   skunk install skill skunkforms
+  skunk install skill skunkforms@v1.2 --force
+  skunk install skill ./my-skill --link
   skunk install plugin skunkforms
   skunk install plugin skunkcrm-pro --license=XXXX
+  skunk install plugin skunkforms --ssh=deploy@example.com/var/www/html
+  skunk install plugin skunkcrm@1.4.2
 
 Run "skunk available" for skills or "skunk plugins" for plugins.
-`);
+`,
+    options: ['force', 'link', 'no-deps', 'frozen', 'skip-verify', 'license', ...TARGET_OPTIONS, ...BULK_OPTIONS],
+    subcommands: { skill: null, plugin: 'plugins' },
+    complete: 'products',
+    registry: true,
+    run: (positionals, options) => handleInstall(positionals, options),
+  },
+  remove: {
+    summary: 'Remove an installed skill or uninstall a WordPress plugin',
+    help: `
+Usage:
+  skunk remove skill <name> [--yes]             Remove an installed skill
+  skunk remove plugin <name> [target] [--yes]   Uninstall a WordPress plugin
+  skunk remove plugin <name> --keep-data        Delete the plugin's files but
+                                                keep its settings and data
+
+A full removal runs the plugin's uninstall routine, which deletes its
+settings and data from the site. Both ask first unless --yes is passed.
+
+Examples:
+  skunk remove skill skunkforms
+  skunk remove plugin skunkcrm --site=client-a
+  skunk remove plugin skunkforms --keep-data --yes
+`,
+    options: ['yes', 'keep-data', ...TARGET_OPTIONS],
+    subcommands: { skill: 'skills', plugin: 'plugins' },
+    registry: true,
+    run: (positionals, options) => handleRemove(positionals, options),
+  },
+  activate: {
+    summary: 'Activate an installed plugin',
+    help: `
+Usage:
+  skunk activate plugin <name> [target]     Activate an installed plugin
+  skunk deactivate plugin <name> [target]   Deactivate a plugin, keeping it installed
+
+Examples:
+  skunk deactivate plugin skunkforms
+  skunk activate plugin skunkcrm-pro --site=client-a
+`,
+    options: TARGET_OPTIONS,
+    subcommands: { plugin: 'plugins' },
+    registry: true,
+    run: (positionals, options) => handlePluginState('activate', positionals, options),
+  },
+  deactivate: {
+    summary: 'Deactivate a plugin without removing it',
+    options: TARGET_OPTIONS,
+    subcommands: { plugin: 'plugins' },
+    registry: true,
+    run: (positionals, options) => handlePluginState('deactivate', positionals, options),
+  },
+  list: {
+    summary: 'List installed skills',
+    run: () => listSkills(),
+  },
+  available: {
+    summary: 'List the skills every source offers',
+    run: () => listAvailable(),
+  },
+  skill: {
+    summary: "Check a skill's manifest before publishing",
+    help: `
+Usage:
+  skunk skill validate [path]    Check a skill's SKILL.md and config.json
+
+Validates the skill directory at [path] (default: the current directory),
+or an installed skill by name.
+`,
+    subcommands: { validate: 'skills' },
+    registry: true,
+    run: positionals => handleSkill(positionals),
+  },
+  source: {
+    summary: 'Add, list and remove skill sources',
+    help: `
+Usage:
+  skunk source add <name> <url|path> [--priority=N] [--key=<public.pem>]
+                                 Register a skill source; with --key, its
+                                 checksums must be signed by that Ed25519 key
+  skunk source list              List skill sources in search order
+  skunk source remove <name>     Remove a skill source
+
+Sources can be a GitHub repo (owner/repo or owner/repo#branch), an HTTPS
+skills index URL, or a local directory. Lower priorities are searched
+first; added sources default to 50, the built-in "skunk" source is 100.
+
+Examples:
+  skunk source add acme acme/openclaw-skills
+  skunk source add team https://skills.example.com/index.json
+  skunk source add dev ~/code/my-skills --priority=10
+  skunk install skill acme:skunkforms
+`,
+    options: ['priority', 'key'],
+    subcommands: { add: null, list: null, remove: 'sources' },
+    run: (positionals, options) => handleSource(positionals, options),
+  },
+  plugins: {
+    summary: 'List available plugins',
+    registry: true,
+    run: () => listPlugins(),
+  },
+  sites: {
+    summary: 'List, add and remove saved WordPress sites',
+    help: `
+Usage:
+  skunk sites add <name> <target> [--group=<a,b>]
+                                   Save a WordPress site under a name
+  skunk sites list                 List saved sites
+  skunk sites remove <name>        Remove a saved site
+
+A target is one of:
+  --path=<dir>                   A WordPress install on this machine
+  --ssh=<user@host/path>         A remote site, via WP-CLI's --ssh
+  @<alias>                       A WP-CLI alias from wp-cli.yml
+  --studio=<site>                A WordPress Studio site, by name
+
+Plugin commands take a target, or --site=<name> for a saved one. To run
+on many saved sites at once, use --sites=<a,b,group:name> or --all-sites
+(--concurrency=N sets how many run together, default 4).
+
+Examples:
+  skunk sites add client-a --ssh=deploy@client-a.com/var/www/html --group=clients
+  skunk sites add local --studio="My Site"
+  skunk install plugin skunkforms --site=client-a
+  skunk install plugin skunkforms --sites=group:clients
+  skunk status --all-sites
+`,
+    options: ['group', ...TARGET_OPTIONS],
+    subcommands: { add: null, list: null, remove: 'sites' },
+    run: (positionals, options) => handleSites(positionals, options),
+  },
+  license: {
+    summary: 'Add, list, remove and verify Pro license keys',
+    help: `
+Usage:
+  skunk license add <product> [key]   Save a Pro license key (asks for it if not given)
+  skunk license list                  Show saved keys, masked
+  skunk license remove <product>      Forget a saved key
+  skunk license verify [product]      Check keys with the Skunk license server
+  skunk license status [product] [--license=KEY] [target]
+                                      Show expiry, seats used and whether the
+                                      site is activated
+
+Keys are kept in ${CREDENTIALS_FILE}, readable only by you, and
+used automatically by Pro installs, upgrades and rollbacks. They can also
+come from SKUNK_LICENSE_<PRODUCT> environment variables, which take
+precedence, e.g. SKUNK_LICENSE_SKUNKCRM. --license=XXXX still overrides both.
+
+Examples:
+  skunk license add skunkcrm
+  echo "$KEY" | skunk license add skunkforms
+  skunk license verify
+  skunk license status --site=client-a
+`,
+    options: ['license', ...TARGET_OPTIONS],
+    subcommands: { add: 'products', list: null, remove: 'products', verify: 'products', status: 'products' },
+    registry: true,
+    run: (positionals, options) => handleLicense(positionals, options),
+  },
+  status: {
+    summary: 'Check plugin versions, and compare them with a site',
+    usage: 'status [target]',
+    options: [...TARGET_OPTIONS, ...BULK_OPTIONS],
+    registry: true,
+    run: (positionals, options) => checkStatus(positionals, options),
+  },
+  upgrade: {
+    summary: 'Upgrade installed plugins to the latest release',
+    help: `
+Usage:
+  skunk upgrade plugin <name> [target]   Upgrade one plugin to its latest release
+  skunk upgrade plugin --all [target]    Upgrade every Skunk plugin on the site
+
+Only plugins older than the latest release are touched. Pro plugins need
+a license key (see "skunk license"). Targets work as for install:
+--site=<name>, --path=<dir>, --ssh=<user@host/path>, @<alias>,
+--studio=<site>, --sites=<a,b,group:name> or --all-sites.
+
+Examples:
+  skunk upgrade plugin skunkforms
+  skunk upgrade plugin --all --sites=group:clients
+`,
+    options: ['all', 'license', 'skip-verify', ...TARGET_OPTIONS, ...BULK_OPTIONS],
+    subcommands: { plugin: 'plugins' },
+    registry: true,
+    run: (positionals, options) => handleUpgrade(positionals, options),
+  },
+  rollback: {
+    summary: 'Reinstall the plugin version that was there before',
+    help: `
+Usage:
+  skunk rollback plugin <name> [target]   Reinstall the version that was installed before
+
+The previous build is restored from ~/.skunk/plugins when it was installed
+through Skunk, or downloaded by version otherwise (Pro needs a license key).
+To go to a specific version instead: skunk install plugin <name>@<version>
+
+Examples:
+  skunk rollback plugin skunkcrm
+  skunk rollback plugin skunkcrm --site=client-a
+`,
+    options: ['license', 'skip-verify', ...TARGET_OPTIONS],
+    subcommands: { plugin: 'plugins' },
+    registry: true,
+    run: (positionals, options) => handleRollback(positionals, options),
+  },
+  versions: {
+    summary: 'Show latest versions of all plugins',
+    registry: true,
+    run: () => showVersions(null),
+  },
+  version: {
+    summary: 'Show latest version of a specific plugin',
+    usage: 'version <plugin>',
+    complete: 'plugins',
+    registry: true,
+    run: positionals => showVersions(positionals[0]),
+  },
+  update: {
+    summary: 'Update the CLI and refresh installed skills',
+    usage: 'update [--rollback]',
+    options: ['rollback', 'skip-verify'],
+    registry: true,
+    run: (positionals, options) => handleUpdate(options),
+  },
+  completion: {
+    summary: 'Print a shell completion script',
+    help: `
+Usage:
+  skunk completion bash|zsh|fish   Print the completion script for a shell
+
+Completes commands, options, installed skill names, plugin names and
+saved sites. Load it from your shell's startup file:
+
+  bash   source <(skunk completion bash)        in ~/.bashrc
+  zsh    source <(skunk completion zsh)         in ~/.zshrc, after compinit
+  fish   skunk completion fish > ~/.config/fish/completions/skunk.fish
+`,
+    options: ['complete'],
+    complete: 'shells',
+    run: (positionals, options) => handleCompletion(positionals, options),
+  },
+  help: {
+    summary: 'Show help, for skunk or one command',
+    usage: 'help [command]',
+    complete: 'commands',
+    run: positionals => (positionals[0] ? showCommandHelp(positionals[0]) : showHelp()),
+  },
+};
+COMMANDS.deactivate.help = COMMANDS.activate.help;
+
+// What each kind of argument completes to. Only local files are read, so
+// completing stays fast and works offline.
+const COMPLETIONS = {
+  commands: () => Object.keys(COMMANDS),
+  skills: () => installedSkills(),
+  products: () => Object.keys(getProducts()),
+  plugins: () => Object.entries(getProducts()).flatMap(([key, plugin]) => [
+    key, plugin.slug, ...(plugin.proSlug ? [plugin.proSlug] : []),
+  ]),
+  sites: () => listSites().map(site => site.name),
+  sources: () => listSources().map(source => source.name),
+  checks: () => listChecks().map(check => check.id),
+  shells: () => SHELLS,
+};
+
+main();
+
+async function main() {
+  try {
+    await run();
+  } catch (e) {
+    error(redactSecrets(e.message), e.code === 'EUSAGE' ? EXIT.USAGE : EXIT.FAILURE);
+  }
+  if (json) printJson(command);
+}
+
+// Check the command's arguments and run it. Resolves once the command has
+// finished.
+async function run() {
+  const name = command === '--help' || command === '-h' ? 'help' : command;
+  const def = findCommand(name);
+  if (!def) return;
+
+  const parsed = parseArgs(name, args.slice(1), def.options || []);
+  if (parsed.help) {
+    console.log(formatHelp(name, def));
+    return;
+  }
+  if (def.registry) await refreshRegistry();
+  await def.run(parsed.positionals, parsed.options);
+}
+
+// The command called `name`, or null after suggesting what was meant
+function findCommand(name) {
+  if (Object.prototype.hasOwnProperty.call(COMMANDS, name)) return COMMANDS[name];
+
+  const guess = closest(name, Object.keys(COMMANDS));
+  error(`Unknown command: ${name}${guess ? `. Did you mean "skunk ${guess}"?` : ''}`, EXIT.USAGE);
+  console.log(`Run "skunk help" to see all commands.`);
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Install Handler
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function handleInstall(positionals, options) {
+  const [type, name, ...rest] = positionals;
+  const verify = !options['skip-verify'];
+  
+  if (options.frozen) {
+    await installFrozen();
+    return;
+  }
+  
+  if (type && findProduct(type)) {
+    await installProduct(type, positionals.slice(1), options);
+    return;
+  }
+  
+  if (!type || !name) {
+    showUsage('install');
     return;
   }
   
   if (type === 'skill') {
-    await installSkill(name);
+    const ok = await installSkill(name, {
+      force: Boolean(options.force),
+      link: Boolean(options.link),
+      deps: !options['no-deps'],
+      verify,
+    });
+    if (!ok) addResult({ type: 'skill', name, ok: false });
   } else if (type === 'plugin') {
-    await installPlugin(name, extraArgs);
+    addResult({ type: 'plugin', name, ...(await installPlugin(name, rest, options)) });
   } else {
     // Backwards compat: treat as skill name
     console.log(`${colors.yellow}Hint: Use "skunk install skill ${type}" or "skunk install plugin ${type}"${colors.reset}\n`);
-    await installSkill(type);
+    if (!(await installSkill(type, { verify }))) {
+      addResult({ type: 'skill', name: type, ok: false });
+    }
+  }
+}
+
+// Install a product's AI skill and WordPress plugin together, carrying on
+// past a failure in one so the user gets whatever could be installed.
+// rest and flags are the install command's other arguments and options.
+async function installProduct(name, rest, flags) {
+  const { product, pro } = findProduct(name);
+  const displayName = pro ? `${product.name} Pro` : product.name;
+  const results = [];
+  
+  console.log(`${colors.bright}Installing ${displayName}${colors.reset} (AI skill + WordPress plugin)\n`);
+  
+  // 1. Skill
+  console.log(`${colors.bright}AI skill${colors.reset}`);
+  if (!product.skill) {
+    results.push({ part: 'AI skill', ok: true, note: 'none for this product' });
+  } else if (pathExists(path.join(OPENCLAW_DIR, product.skill))) {
+    success(`Skill "${product.skill}" is already installed`);
+    results.push({ part: `AI skill (${product.skill})`, ok: true, note: 'already installed' });
+    addResult({ type: 'skill', name: product.skill, ok: true, alreadyInstalled: true });
+  } else {
+    const ok = await installSkill(product.skill, { verify: !flags['skip-verify'] });
+    results.push({ part: `AI skill (${product.skill})`, ok, note: ok ? 'installed' : 'install failed' });
+    if (!ok) addResult({ type: 'skill', name: product.skill, ok: false });
+  }
+  
+  // 2. Plugin
+  console.log(`\n${colors.bright}WordPress plugin${colors.reset}`);
+  const plugin = await installPlugin(name, rest, flags, { tip: false });
+  addResult({ type: 'plugin', name, ...plugin });
+  results.push({ part: `WordPress plugin (${displayName})`, ok: plugin.ok, note: plugin.ok ? 'installed' : plugin.reason });
+  
+  // Summary
+  console.log(`\n${colors.bright}Summary${colors.reset}`);
+  for (const r of results) {
+    const mark = r.ok ? `${colors.green}✓${colors.reset}` : `${colors.red}✗${colors.reset}`;
+    console.log(`  ${mark} ${r.part} ${colors.dim}${r.note}${colors.reset}`);
+  }
+  console.log('');
+  
+  const failed = results.filter(r => !r.ok);
+  if (failed.length === 0) {
+    success(`${displayName} is ready`);
+  } else if (failed.length < results.length) {
+    warn(`${displayName} was only partly installed. Fix the problem above, then run: skunk install ${name}`);
+    fail(EXIT.PARTIAL);
+  } else {
+    error(`${displayName} could not be installed`);
   }
 }
 
@@ -134,20 +543,22 @@ Run "skunk available" for skills or "skunk plugins" for plugins.
 // Remove Handler
 // ═══════════════════════════════════════════════════════════════════════════
 
-function handleRemove(args) {
-  const type = args[0];
-  const name = args[1];
+async function handleRemove(positionals, options) {
+  const [type, name, ...rest] = positionals;
   
-  if (!type) {
-    console.log('Usage: skunk remove skill <name>');
+  if (!type || (type === 'plugin' && !name)) {
+    showUsage('remove');
     return;
   }
   
-  if (type === 'skill' && name) {
-    removeSkill(name);
+  if (type === 'plugin') {
+    const ok = await removePlugin(name, rest, options);
+    if (!ok) addResult({ type: 'plugin', name, ok: false, removed: false });
+  } else if (type === 'skill' && name) {
+    await removeSkill(name, options);
   } else {
     // Backwards compat
-    removeSkill(type);
+    await removeSkill(type, options);
   }
 }
 
@@ -155,14 +566,33 @@ function handleRemove(args) {
 // Skill Management
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function installSkill(name) {
-  if (!name) {
-    console.log('Usage: skunk install skill <skill-name>');
+async function installSkill(spec, options = {}) {
+  if (!spec) {
+    console.log('Usage: skunk install skill <skill-name>[@ref]');
     console.log('Run "skunk available" to see available skills');
-    return;
+    fail(EXIT.USAGE);
+    return false;
+  }
+  
+  if (isLocalSpec(spec)) {
+    return installLocalSkill(spec, options);
+  }
+  
+  if (options.link) {
+    error('--link only works with a local skill directory, e.g. skunk install skill ./my-skill --link', EXIT.USAGE);
+    return false;
+  }
+  
+  let parsed;
+  try {
+    parsed = parseSkillSpec(spec);
+  } catch (e) {
+    error(e.message, EXIT.USAGE);
+    return false;
   }
+  const { source: sourceName, name, ref: requestedRef } = parsed;
   
-  console.log(`Installing skill: ${name}...`);
+  console.log(`Installing skill: ${name}${requestedRef ? ` @ ${requestedRef}` : ''}...`);
   
   if (!fs.existsSync(OPENCLAW_DIR)) {
     fs.mkdirSync(OPENCLAW_DIR, { recursive: true });
@@ -170,309 +600,1931 @@ async function installSkill(name) {
   
   const skillDir = path.join(OPENCLAW_DIR, name);
   
-  if (fs.existsSync(skillDir)) {
-    console.log(`Skill ${name} is already installed. Remove it first with: skunk remove skill ${name}`);
+  if (pathExists(skillDir) && !options.force) {
+    warn(`Skill ${name} is already installed. Switch versions with: skunk install skill ${name}@<ref> --force`);
+    addResult({ type: 'skill', name, ok: true, alreadyInstalled: true, path: skillDir });
+    return true;
+  }
+  
+  // Fetch everything before touching disk so a --force reinstall that
+  // fails leaves the current version in place
+  let match;
+  try {
+    match = await findSkill(name, { source: sourceName, ref: requestedRef, verify: options.verify });
+  } catch (e) {
+    error(`Failed to fetch skill "${name}": ${e.message}`, fetchErrorCode(e));
+    if (e.code === 'EINTEGRITY') {
+      console.log(`\n${colors.dim}Nothing was installed. If you trust this source anyway, re-run with --skip-verify.${colors.reset}`);
+    }
+    return false;
+  }
+  
+  if (!match) {
+    error(`Skill "${name}" not found${requestedRef ? ` at ${requestedRef}` : ''}. Run "skunk available" to see available skills.`, EXIT.NOT_FOUND);
+    return false;
+  }
+  
+  const { source, ref, commit, commitError, files } = match;
+  
+  if (commitError) {
+    warn(`Could not resolve ${ref} to a commit (${commitError.message}), locking to ref`);
+  }
+  
+  reportUnverified(name, match, options);
+  
+  const plan = acceptSkill(name, files) ? await planDependencies(name, files, options) : null;
+  if (!plan) return false;
+  
+  const hashes = commitWithDependencies({ name, files }, plan);
+  if (!hashes) return false;
+  lockSkill(name, { ...source.lockInfo(), ref, commit, files: hashes[name] });
+  addResult({ type: 'skill', name, ok: true, source: source.name, ref, commit, path: skillDir });
+  success(`Installed skill "${name}" ${formatOrigin(source.name, ref, commit)} to ${skillDir}`);
+  console.log(`\n${colors.dim}Restart your AI assistant to load the new skill.${colors.reset}`);
+  return true;
+}
+
+// Exit code for a failed fetch: NETWORK only when the network or server
+// was the problem, not the skill or the name asked for
+function fetchErrorCode(e) {
+  if (e.code === 'ENOENT') return EXIT.NOT_FOUND;
+  return isNetworkError(e) ? EXIT.NETWORK : EXIT.FAILURE;
+}
+
+// Install a skill being developed locally, either copied from a directory
+// or tarball, or symlinked (--link) so edits show up without reinstalling
+async function installLocalSkill(spec, options) {
+  const target = path.resolve(spec.replace(/^~(?=\/)/, process.env.HOME));
+  
+  if (!fs.existsSync(target)) {
+    error(`No such file or directory: ${target}`, EXIT.NOT_FOUND);
+    return false;
+  }
+  
+  const isTarball = fs.statSync(target).isFile();
+  
+  if (isTarball && options.link) {
+    error('--link only works with a skill directory, not a tarball', EXIT.USAGE);
+    return false;
+  }
+  
+  if (!isTarball && !fs.existsSync(path.join(target, 'SKILL.md'))) {
+    error(`${target} is not a skill (no SKILL.md found)`);
+    return false;
+  }
+  
+  const source = isTarball
+    ? createSource({ name: 'local', type: 'tarball', path: target })
+    : createSource({ name: 'local', type: 'local', path: path.dirname(target), followLinks: Boolean(options.link) });
+  
+  let name;
+  try {
+    name = checkSkillName(isTarball ? (await source.list())[0] : path.basename(target));
+  } catch (e) {
+    error(e.message);
+    return false;
+  }
+  
+  console.log(`${options.link ? 'Linking' : 'Installing'} local skill: ${name}...`);
+  
+  const skillDir = path.join(OPENCLAW_DIR, name);
+  
+  if (pathExists(skillDir) && !options.force) {
+    warn(`Skill ${name} is already installed. Replace it with: skunk install skill ${spec}${options.link ? ' --link' : ''} --force`);
+    addResult({ type: 'skill', name, ok: true, alreadyInstalled: true, path: skillDir });
+    return true;
+  }
+  
+  let match;
+  try {
+    match = await fetchSkill(source, name);
+  } catch (e) {
+    error(e.message);
+    return false;
+  }
+  
+  const plan = acceptSkill(name, match.files) ? await planDependencies(name, match.files, options) : null;
+  if (!plan) return false;
+  
+  const hashes = commitWithDependencies(options.link ? { name, link: target } : { name, files: match.files }, plan);
+  if (!hashes) return false;
+  
+  if (options.link) {
+    // Linked skills change as you edit them, so they're never locked
+    unlockSkill(name);
+    addResult({ type: 'skill', name, ok: true, source: 'local', ref: null, commit: null, path: skillDir, linked: target });
+    success(`Linked skill "${name}" → ${target}`);
+    console.log(`\n${colors.dim}Edits to ${target} are live. Restart your AI assistant to load the skill.${colors.reset}`);
+    return true;
+  }
+  
+  lockSkill(name, { ...source.lockInfo(), ref: null, commit: null, files: hashes[name] });
+  addResult({ type: 'skill', name, ok: true, source: 'local', ref: null, commit: null, path: skillDir });
+  success(`Installed local skill "${name}" to ${skillDir}`);
+  console.log(`\n${colors.dim}Restart your AI assistant to load the new skill.${colors.reset}`);
+  return true;
+}
+
+async function installFrozen() {
+  const lockPath = getLockfilePath();
+  
+  if (!fs.existsSync(lockPath)) {
+    error(`No lockfile found at ${lockPath}`, EXIT.NOT_FOUND);
+    return;
+  }
+  
+  let lock;
+  try {
+    lock = readLockfile(lockPath);
+  } catch (e) {
+    error(e.message);
+    return;
+  }
+  
+  const names = Object.keys(lock.skills);
+  if (names.length === 0) {
+    warn(`${lockPath} has no skills to install`);
+    return;
+  }
+  
+  // Lockfiles are shared, so their names are checked before anything is fetched
+  const invalid = names.filter(name => !SKILL_NAME_RE.test(name));
+  if (invalid.length > 0) {
+    error(`${lockPath} has invalid skill names: ${invalid.map(name => JSON.stringify(name)).join(', ')}. Nothing was installed.`);
     return;
   }
   
-  const files = ['SKILL.md', 'config.json', 'README.md'];
-  fs.mkdirSync(skillDir, { recursive: true });
+  console.log(`Installing ${names.length} skill${names.length === 1 ? '' : 's'} from ${lockPath}...\n`);
   
-  let installed = false;
+  // Fetch and verify everything before touching disk, so a mismatch
+  // leaves the installed skills exactly as they were
+  const verified = {};
+  const failures = [];
   
-  for (const file of files) {
-    const url = `https://raw.githubusercontent.com/${SKILLS_REPO}/${SKILLS_BRANCH}/skills/${name}/${file}`;
+  for (const name of names) {
+    const entry = lock.skills[name];
+    const ref = entry.commit || entry.ref;
+    verified[name] = {};
+    
+    // Committing an empty set of files would wipe the installed skill
+    const locked = Object.entries(entry.files || {});
+    if (locked.length === 0) {
+      failures.push({ name, message: `lock entry has no files, reinstall to refresh ${LOCKFILE_NAME}` });
+      continue;
+    }
     
+    let source;
     try {
-      const content = await fetchFile(url);
-      if (content) {
-        fs.writeFileSync(path.join(skillDir, file), content);
-        if (file === 'SKILL.md') installed = true;
-      }
+      source = sourceFromLockEntry(entry);
     } catch (e) {
-      // Optional files may not exist
+      failures.push({ name, message: e.message });
+      continue;
+    }
+    
+    for (const [file, expected] of locked) {
+      let content;
+      try {
+        checkSkillPath(file);
+        content = await source.readFile(name, ref, file);
+      } catch (e) {
+        failures.push({ name, file, message: e.message });
+        continue;
+      }
+      
+      if (content === null) {
+        failures.push({ name, file, message: `not found upstream${ref ? ` at ${ref}` : ''}` });
+      } else if (hashContent(content) !== expected) {
+        failures.push({ name, file, message: `content does not match lockfile (expected ${expected}, got ${hashContent(content)})` });
+      } else {
+        verified[name][file] = content;
+      }
+    }
+  }
+  
+  if (failures.length > 0) {
+    error(`Could not verify skills against ${lockPath}:`);
+    for (const failure of failures) {
+      addResult({ type: 'skill', name: failure.name, ok: false, file: failure.file || null, reason: failure.message });
+      console.log(`  ${colors.red}●${colors.reset} ${failure.name}${failure.file ? `/${failure.file}` : ''}: ${failure.message}`);
     }
+    console.log(`\n${colors.dim}Nothing was installed. Reinstall the affected skills to refresh ${lockPath}.${colors.reset}`);
+    return;
+  }
+  
+  for (const name of names) {
+    commitSkill(name, verified[name]);
+    
+    const entry = lock.skills[name];
+    addResult({ type: 'skill', name, ok: true, source: entry.source, ref: entry.ref, commit: entry.commit, path: path.join(OPENCLAW_DIR, name) });
+    success(`${name} ${colors.dim}${formatOrigin(entry.source, entry.ref, entry.commit)}${colors.reset}`);
+  }
+  
+  console.log(`\n${colors.dim}Restart your AI assistant to load the new skills.${colors.reset}`);
+}
+
+// Work out the skills a skill requires. Everything is resolved and
+// validated up front so a conflict installs nothing. Resolves with the
+// plan (empty with --no-deps), or null after reporting a problem.
+async function planDependencies(name, files, options = {}) {
+  if (options.deps === false) return [];
+  
+  let plan;
+  try {
+    plan = await resolveDependencies(name, files, { verify: options.verify });
+  } catch (e) {
+    error(`Could not resolve dependencies of "${name}": ${e.message}`);
+    return null;
+  }
+  
+  for (const dep of plan) {
+    reportUnverified(dep.name, dep.match, options);
+    if (!acceptSkill(dep.name, dep.match.files)) return null;
+  }
+  return plan;
+}
+
+// Install a skill ({ name, files } or { name, link }) together with its
+// planned dependencies, so a failure leaves none of them behind, and lock
+// the dependencies. Returns the file hashes of each skill by name, or null
+// after reporting that nothing was installed.
+function commitWithDependencies(skill, plan) {
+  let hashes;
+  try {
+    hashes = commitSkills([...plan.map(dep => ({ name: dep.name, files: dep.match.files })), skill]);
+  } catch (e) {
+    error(`Could not install "${skill.name}": ${e.message}. Nothing was changed.`);
+    return null;
+  }
+  
+  if (plan.length === 0) return hashes;
+  
+  console.log(`\nInstalled ${plan.length} ${plan.length === 1 ? 'dependency' : 'dependencies'}:`);
+  for (const dep of plan) {
+    const { source, ref, commit } = dep.match;
+    lockSkill(dep.name, { ...source.lockInfo(), ref, commit, files: hashes[dep.name] });
+    
+    addResult({ type: 'skill', name: dep.name, ok: true, source: source.name, ref, commit, path: path.join(OPENCLAW_DIR, dep.name), requiredBy: dep.requiredBy });
+    
+    const version = dep.version ? ` ${dep.version}` : '';
+    const verb = dep.upgrade ? 'upgraded' : 'required';
+    success(`${dep.name}${version} ${colors.dim}(${verb} by ${dep.requiredBy})${colors.reset}`);
   }
+  console.log('');
+  
+  return hashes;
+}
+
+// Say when a remote skill is going in without a checksum check
+function reportUnverified(name, match, options) {
+  if (match.verified !== false) return;
   
-  if (installed) {
-    success(`Installed skill "${name}" to ${skillDir}`);
-    console.log(`\n${colors.dim}Restart your AI assistant to load the new skill.${colors.reset}`);
+  if (options.verify === false) {
+    warn(`Skipping checksum verification for "${name}" (--skip-verify)`);
   } else {
-    fs.rmSync(skillDir, { recursive: true, force: true });
-    error(`Skill "${name}" not found. Run "skunk available" to see available skills.`);
+    warn(`${match.source.name} publishes no checksums for "${name}"; installing it unverified`);
+  }
+}
+
+// Run manifest validation on fetched files before they're installed.
+// Reports and returns false when the skill must be refused.
+function acceptSkill(name, files) {
+  const { manifest, errors } = validateSkill(name, files, { knownPlugins: Object.keys(getProducts()) });
+  
+  if (errors.length > 0) {
+    error(`Skill "${name}" failed validation:`);
+    errors.forEach(e => console.log(`  ${colors.red}●${colors.reset} ${e}`));
+    console.log(`\n${colors.dim}Nothing was installed. Skill authors can check a skill with: skunk skill validate <path>${colors.reset}`);
+    return false;
+  }
+  
+  // Missing tools don't block the install, but the skill won't work without them
+  const { cli } = getRequirements(manifest);
+  for (const tool of Object.keys(cli)) {
+    if (!commandExists(tool)) {
+      warn(`${name} needs "${tool}", which was not found in PATH`);
+    }
   }
+  
+  return true;
 }
 
-function removeSkill(name) {
-  if (!name) {
+async function removeSkill(spec, options = {}) {
+  if (!spec) {
     console.log('Usage: skunk remove skill <skill-name>');
+    fail(EXIT.USAGE);
     return;
   }
   
+  let name;
+  try {
+    ({ name } = parseSkillSpec(spec));
+  } catch (e) {
+    addResult({ type: 'skill', name: spec, ok: false, removed: false, reason: 'invalid name' });
+    error(e.message, EXIT.USAGE);
+    return;
+  }
   const skillDir = path.join(OPENCLAW_DIR, name);
   
-  if (!fs.existsSync(skillDir)) {
-    console.log(`Skill ${name} is not installed.`);
-    return;
-  }
+  if (!pathExists(skillDir)) {
+    addResult({ type: 'skill', name, ok: false, removed: false, reason: 'not installed' });
+    error(`Skill ${name} is not installed.`, EXIT.NOT_FOUND);
+    return;
+  }
+  
+  const dependents = findDependents(name);
+  if (dependents.length > 0 && !options.yes) {
+    warn(`${dependents.join(', ')} ${dependents.length === 1 ? 'depends' : 'depend'} on ${name} and may stop working without it.`);
+    if (!process.stdin.isTTY) {
+      addResult({ type: 'skill', name, ok: false, removed: false, reason: 'not confirmed' });
+      error(`Can't ask before removing ${name} when not running interactively. Pass --yes to remove it.`, EXIT.USAGE);
+      return;
+    }
+    if (!(await confirm('Remove it anyway?'))) {
+      addResult({ type: 'skill', name, ok: true, removed: false, reason: 'not confirmed' });
+      console.log(`${colors.dim}Kept ${name}. Pass --yes to remove it without asking.${colors.reset}`);
+      return;
+    }
+  }
+  
+  fs.rmSync(skillDir, { recursive: true, force: true });
+  unlockSkill(name);
+  addResult({ type: 'skill', name, ok: true, removed: true });
+  success(`Removed skill "${name}"`);
+}
+
+// Names of the skills in OPENCLAW_DIR, linked ones included
+function installedSkills() {
+  if (!fs.existsSync(OPENCLAW_DIR)) return [];
+  return fs.readdirSync(OPENCLAW_DIR).filter(f => {
+    const skillPath = path.join(OPENCLAW_DIR, f);
+    return isLinkedSkill(skillPath) ||
+           (fs.statSync(skillPath).isDirectory() && fs.existsSync(path.join(skillPath, 'SKILL.md')));
+  });
+}
+
+function listSkills() {
+  if (!fs.existsSync(OPENCLAW_DIR)) {
+    setOutput({ location: OPENCLAW_DIR, skills: [] });
+    console.log('No skills installed yet.');
+    console.log('Run "skunk available" to see available skills.');
+    return;
+  }
+  
+  const skills = installedSkills();
+  
+  let locked = {};
+  try {
+    locked = readLockfile().skills;
+  } catch (e) {
+    warn(e.message);
+  }
+  
+  if (json) {
+    setOutput({
+      location: OPENCLAW_DIR,
+      skills: skills.map(s => {
+        const skillPath = path.join(OPENCLAW_DIR, s);
+        const entry = isLinkedSkill(skillPath) ? null : locked[s];
+        return {
+          name: s,
+          linked: isLinkedSkill(skillPath) ? fs.readlinkSync(skillPath) : null,
+          missing: !fs.existsSync(skillPath),
+          source: entry ? entry.source : null,
+          ref: entry ? entry.ref : null,
+          commit: entry ? entry.commit : null,
+          dev: isLinkedSkill(skillPath) || Boolean(entry && (entry.type === 'local' || entry.type === 'tarball')),
+        };
+      }),
+    });
+    return;
+  }
+  
+  if (skills.length === 0) {
+    console.log('No skills installed yet.');
+  } else {
+    console.log('Installed skills:\n');
+    skills.forEach(s => {
+      const skillPath = path.join(OPENCLAW_DIR, s);
+      const padding = ' '.repeat(Math.max(1, 20 - s.length));
+      
+      if (isLinkedSkill(skillPath)) {
+        const target = fs.readlinkSync(skillPath);
+        const broken = !fs.existsSync(skillPath);
+        const bullet = broken ? `${colors.red}●${colors.reset}` : `${colors.yellow}●${colors.reset}`;
+        console.log(`  ${bullet} ${s}${padding}${colors.yellow}[dev]${colors.reset} ${colors.dim}linked → ${target}${broken ? ' (missing)' : ''}${colors.reset}`);
+        return;
+      }
+      
+      const entry = locked[s];
+      const origin = entry ? `${colors.dim}${formatOrigin(entry.source, entry.ref, entry.commit)}${colors.reset}` : '';
+      const dev = entry && (entry.type === 'local' || entry.type === 'tarball') ? `${colors.yellow}[dev]${colors.reset} ` : '';
+      console.log(`  ${colors.green}●${colors.reset} ${s}${entry ? padding + dev + origin : ''}`);
+    });
+    console.log(`\n${colors.dim}Skills location: ${OPENCLAW_DIR}${colors.reset}`);
+  }
+}
+
+async function listAvailable() {
+  console.log('Fetching available skills...\n');
+  
+  let sources;
+  try {
+    sources = listSources();
+  } catch (e) {
+    error(e.message);
+    return;
+  }
+  
+  // Earlier sources shadow later ones, so note where a name is taken
+  const seen = new Map();
+  const listed = [];
+  
+  for (const def of sources) {
+    const entry = { name: def.name, location: describeSource(def), skills: [], error: null };
+    listed.push(entry);
+    
+    try {
+      for (const skill of await createSource(def).list()) {
+        entry.skills.push({ name: skill, shadowedBy: seen.get(skill) || null });
+        if (!seen.has(skill)) seen.set(skill, def.name);
+      }
+    } catch (e) {
+      entry.error = e.message;
+    }
+  }
+  
+  if (json) {
+    listed.filter(entry => entry.error).forEach(entry => error(`Failed to fetch skills from ${entry.name}: ${entry.error}`, EXIT.NETWORK));
+    setOutput({ sources: listed });
+    return;
+  }
+  
+  for (const entry of listed) {
+    console.log(`${colors.bright}${entry.name}${colors.reset} ${colors.dim}(${entry.location})${colors.reset}\n`);
+    
+    if (entry.error) {
+      error('Failed to fetch skills: ' + entry.error, EXIT.NETWORK);
+    } else if (entry.skills.length === 0) {
+      console.log(`  ${colors.dim}No skills found${colors.reset}`);
+    }
+    for (const skill of entry.skills) {
+      if (skill.shadowedBy) {
+        console.log(`  ${colors.dim}● ${skill.name} (shadowed by ${skill.shadowedBy}, install with: ${entry.name}:${skill.name})${colors.reset}`);
+      } else {
+        console.log(`  ${colors.cyan}●${colors.reset} ${skill.name}`);
+      }
+    }
+    
+    console.log('');
+  }
+  
+  console.log(`${colors.dim}Install with: skunk install skill <name> (or <source>:<name>)${colors.reset}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Skill Authoring
+// ═══════════════════════════════════════════════════════════════════════════
+
+function handleSkill(positionals) {
+  const [action, target] = positionals;
+  
+  if (action === 'validate') {
+    return validateSkillCommand(target || '.');
+  }
+  
+  showUsage('skill');
+}
+
+async function validateSkillCommand(target) {
+  let dir = path.resolve(target);
+  if (!fs.existsSync(dir) && fs.existsSync(path.join(OPENCLAW_DIR, target))) {
+    dir = path.join(OPENCLAW_DIR, target);
+  }
+  
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    error(`Not a skill directory: ${dir}`, EXIT.NOT_FOUND);
+    return;
+  }
+  
+  const name = path.basename(fs.realpathSync(dir));
+  console.log(`Validating skill: ${name} ${colors.dim}(${dir})${colors.reset}\n`);
+  
+  // Read it the same way an install would, so size and path limits apply too
+  let files;
+  try {
+    const match = await fetchSkill(createSource({ name: 'local', type: 'local', path: path.dirname(fs.realpathSync(dir)) }), name);
+    files = match ? match.files : {};
+  } catch (e) {
+    error(e.message);
+    return;
+  }
+  
+  const { manifest, errors, warnings } = validateSkill(name, files, { knownPlugins: Object.keys(getProducts()) });
+  
+  errors.forEach(e => error(e));
+  warnings.forEach(w => warn(w));
+  
+  if (errors.length > 0) {
+    console.log(`\n${colors.red}${name} has ${errors.length} error${errors.length === 1 ? '' : 's'}${colors.reset} and would be refused by skunk install.`);
+    return;
+  }
+  
+  const version = manifest && manifest.version ? ` ${manifest.version}` : '';
+  const schema = manifest && manifest.schemaVersion ? `, schema v${manifest.schemaVersion}` : '';
+  if (warnings.length > 0) console.log('');
+  success(`${name}${version} is valid (${Object.keys(files).length} file${Object.keys(files).length === 1 ? '' : 's'}${schema})`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Skill Sources
+// ═══════════════════════════════════════════════════════════════════════════
+
+function handleSource(positionals, options) {
+  const [action, name, location] = positionals;
+  
+  try {
+    if (action === 'add' && name && location) {
+      const priority = options.priority !== undefined ? parseInt(options.priority, 10) : undefined;
+      const key = options.key && options.key.replace(/^~(?=\/)/, process.env.HOME);
+      if (Number.isNaN(priority)) {
+        error('--priority must be a number', EXIT.USAGE);
+        return;
+      }
+      
+      const def = addSource(name, location, { priority, key });
+      success(`Added source "${def.name}" (${describeSource(def)})`);
+      if (key) {
+        console.log(`${colors.dim}Checksums from "${def.name}" must now be signed by ${key}${colors.reset}`);
+      }
+    } else if (action === 'remove' && name) {
+      removeSource(name);
+      success(`Removed source "${name}"`);
+    } else if (action === 'list') {
+      const sources = listSources();
+      if (json) {
+        setOutput({ sources: sources.map(def => ({ ...def, signed: Boolean(trustedKey(def.name)) })) });
+        return;
+      }
+      
+      console.log('Skill sources (searched in this order):\n');
+      for (const def of sources) {
+        const padding = ' '.repeat(Math.max(1, 16 - def.name.length));
+        const signed = trustedKey(def.name) ? ', signed' : '';
+        console.log(`  ${colors.cyan}●${colors.reset} ${def.name}${padding}${describeSource(def)} ${colors.dim}(priority ${def.priority}${signed})${colors.reset}`);
+      }
+      console.log('');
+    } else {
+      showUsage('source');
+    }
+  } catch (e) {
+    error(e.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Sites
+// ═══════════════════════════════════════════════════════════════════════════
+
+function handleSites(positionals, options) {
+  const [action = 'list', name] = positionals;
+  
+  try {
+    if (action === 'add' && name) {
+      const groups = (options.group || '').split(',').filter(Boolean);
+      const { spec, rest } = parseTargetArgs(positionals.slice(2), options);
+      if (rest.length > 0) {
+        error(`Unexpected argument: ${rest[0]}`, EXIT.USAGE);
+        return;
+      }
+      
+      const site = addSite(name, spec, groups);
+      success(`Added site "${site.name}" (${describeSpec(site)})${groups.length ? ` in ${groups.map(g => `group:${g}`).join(', ')}` : ''}`);
+      console.log(`${colors.dim}Use it with: skunk install plugin <name> --site=${site.name}${colors.reset}`);
+    } else if (action === 'remove' && name) {
+      removeSite(name);
+      success(`Removed site "${name}"`);
+    } else if (action === 'list') {
+      const sites = listSites();
+      setOutput({ sites });
+      if (sites.length === 0) {
+        console.log('No saved sites. Add one with: skunk sites add <name> --path=<dir>');
+        return;
+      }
+      
+      console.log('Saved sites:\n');
+      for (const site of sites) {
+        const padding = ' '.repeat(Math.max(1, 16 - site.name.length));
+        const groups = (site.groups || []).map(g => `group:${g}`).join(', ');
+        console.log(`  ${colors.cyan}●${colors.reset} ${site.name}${padding}${describeSpec(site)}${groups ? ` ${colors.dim}(${groups})${colors.reset}` : ''}`);
+      }
+      console.log('');
+    } else {
+      showUsage('sites');
+    }
+  } catch (e) {
+    error(e.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Licenses
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function handleLicense(positionals, options) {
+  const [action, name, key] = positionals;
+  const found = findProduct(name);
+  const product = found ? found.key : name;
+  
+  if (action === 'status') {
+    const ok = await licenseStatus(positionals.slice(1), options);
+    if (!ok) fail();
+    return;
+  }
+  
+  // Keys for products that are gone can still be removed
+  if (name && !found && action !== 'remove') {
+    error(`Unknown product: ${name}. Products: ${Object.keys(getProducts()).join(', ')}`, EXIT.NOT_FOUND);
+    return;
+  }
+  
+  try {
+    if (action === 'add' && product) {
+      const value = key || await promptSecret(`License key for ${found.product.name} Pro: `);
+      addLicense(product, value);
+      success(`Saved the ${found.product.name} Pro license key in ${CREDENTIALS_FILE}`);
+      if (process.env[envName(product)]) {
+        warn(`${envName(product)} is set and takes precedence over the saved key`);
+      }
+      console.log(`${colors.dim}Pro installs and upgrades now use it. Check it with: skunk license verify ${product}${colors.reset}`);
+    } else if (action === 'remove' && product) {
+      if (removeLicense(product)) {
+        success(`Removed the saved license key for ${product}`);
+      } else {
+        console.log(`No license key is saved for ${product}.`);
+      }
+      if (process.env[envName(product)]) {
+        warn(`${envName(product)} is still set in your environment`);
+      }
+    } else if (action === 'list') {
+      const licenses = listLicenses();
+      setOutput({ licenses: licenses.map(l => ({ ...l, key: maskKey(l.key) })) });
+      if (licenses.length === 0) {
+        console.log('No license keys saved. Add one with: skunk license add <product>');
+        return;
+      }
+      
+      console.log('');
+      printTable(['Product', 'Key', 'From'], licenses.map(l => [
+        l.product,
+        maskKey(l.key),
+        l.source === 'credentials' ? `${colors.dim}${CREDENTIALS_FILE}${colors.reset}` : `${colors.dim}$${l.source}${colors.reset}`,
+      ]));
+      console.log('');
+    } else if (action === 'verify') {
+      const ok = await verifyLicenses(product);
+      if (!ok) fail();
+    } else {
+      showUsage('license');
+    }
+  } catch (e) {
+    error(e.message);
+  }
+}
+
+// Expiry, seat usage and activation on the target site for saved keys, or
+// the one given with --license=. Resolves with false when any key isn't
+// active or couldn't be checked.
+async function licenseStatus(rest, flags) {
+  let targeting;
+  let target;
+  try {
+    targeting = parseTargetArgs(rest, flags);
+    if (targeting.sites) {
+      throw new Error('License status works on one site at a time; use --site=<name>');
+    }
+    target = resolveTarget(targeting.spec);
+  } catch (e) {
+    error(e.message);
+    return false;
+  }
+  
+  const given = flags.license;
+  const name = targeting.rest[0];
+  const found = findProduct(name);
+  const product = found ? found.key : null;
+  
+  if (name && !found) {
+    error(`Unknown product: ${name}. Products: ${Object.keys(getProducts()).join(', ')}`, EXIT.NOT_FOUND);
+    return false;
+  }
+  
+  let licenses;
+  try {
+    licenses = given
+      ? [{ product, key: given, source: '--license' }]
+      : listLicenses().filter(l => !product || l.product === product);
+  } catch (e) {
+    error(e.message);
+    return false;
+  }
+  if (licenses.length === 0) {
+    error(product ? `No license key for ${product}. Add one with: skunk license add ${product}` : 'No license keys saved. Add one with: skunk license add <product>', EXIT.NOT_FOUND);
+    return false;
+  }
+  
+  const siteUrl = await readSiteUrl(target);
+  
+  const results = await mapLimit(licenses, DEFAULT_CONCURRENCY, async (license) => {
+    try {
+      return { license, info: await fetchLicenseStatus(license.key, siteUrl) };
+    } catch (e) {
+      return { license, error: redactSecrets(e.message) };
+    }
+  });
+  
+  const statusCell = info => {
+    if (info.status === 'active') return `${colors.green}active${colors.reset}`;
+    return `${colors.red}${info.status}${colors.reset}`;
+  };
+  const activatedCell = info => info.siteActivated
+    ? `${colors.green}activated${colors.reset}`
+    : `${colors.yellow}not activated${colors.reset}`;
+  
+  setOutput({
+    site: siteUrl,
+    licenses: results.map(r => ({
+      product: (r.info && r.info.product) || r.license.product,
+      key: maskKey(r.license.key),
+      source: r.license.source,
+      ok: !r.error && r.info.status === 'active',
+      status: r.error ? 'unknown' : r.info.status,
+      expires: r.info ? r.info.expires : null,
+      used: r.info ? r.info.used : null,
+      limit: r.info ? r.info.limit : null,
+      siteActivated: r.info ? r.info.siteActivated : null,
+      error: r.error || null,
+    })),
+  });
+  
+  console.log('');
+  if (siteUrl) console.log(`Site: ${siteUrl}\n`);
+  printTable(['Product', 'Key', 'Status', 'Expires', 'Sites', ...(siteUrl ? ['This site'] : [])], results.map(r => {
+    if (r.error) {
+      return [r.license.product || '-', maskKey(r.license.key), `${colors.yellow}unknown${colors.reset} ${colors.dim}(${r.error})${colors.reset}`];
+    }
+    if (r.info.status === 'invalid') {
+      return [r.license.product || '-', maskKey(r.license.key), `${colors.red}not recognised${colors.reset}`];
+    }
+    return [
+      r.info.product || r.license.product || '-',
+      maskKey(r.license.key),
+      statusCell(r.info),
+      r.info.expires ? r.info.expires.slice(0, 10) : `${colors.dim}never${colors.reset}`,
+      `${r.info.used}/${r.info.limit === null ? '∞' : r.info.limit}`,
+      ...(siteUrl ? [activatedCell(r.info)] : []),
+    ];
+  }));
+  console.log('');
+  
+  return results.every(r => !r.error && r.info.status === 'active');
+}
+
+// Problems with the licenses of Pro plugins installed on a site: expired
+// or unknown keys, or a site that isn't activated. License lookups are
+// shared through `cache` when checking many sites.
+async function licenseWarnings(target, installed, cache = new Map()) {
+  const pro = Object.keys(installed).map(findProduct).filter(found => found && found.pro);
+  if (pro.length === 0) return [];
+  
+  const siteUrl = await readSiteUrl(target);
+  const warnings = [];
+  
+  for (const { key: product, product: plugin } of pro) {
+    const displayName = `${plugin.name} Pro`;
+    
+    let license;
+    try {
+      license = getLicense(product);
+    } catch (e) {
+      warnings.push(e.message);
+      continue;
+    }
+    if (!license) {
+      warnings.push(`${displayName} is installed but no license key is saved for it (skunk license add ${product})`);
+      continue;
+    }
+    
+    if (!cache.has(license.key)) cache.set(license.key, fetchLicenseStatus(license.key));
+    let info;
+    try {
+      info = await cache.get(license.key);
+    } catch (e) {
+      warnings.push(`Could not check the ${displayName} license: ${redactSecrets(e.message)}`);
+      continue;
+    }
+    
+    if (info.status === 'invalid') {
+      warnings.push(`${displayName}: the license key ${maskKey(license.key)} is not recognised`);
+    } else if (info.status === 'expired') {
+      warnings.push(`${displayName}: the license expired${info.expires ? ` on ${info.expires.slice(0, 10)}` : ''}; renew it at https://skunkglobal.com/pricing`);
+    } else if (info.status !== 'active') {
+      warnings.push(`${displayName}: the license is ${info.status}`);
+    } else if (siteUrl && !isSiteActivated(info.sites, siteUrl)) {
+      const seats = `${info.used}/${info.limit === null ? '∞' : info.limit} sites in use`;
+      warnings.push(`${displayName} is installed on ${siteUrl}, which is not activated on its license (${seats})`);
+    }
+  }
+  return warnings;
+}
+
+// The site's URL from WP-CLI, or null when the target isn't a site we can read
+async function readSiteUrl(target) {
+  if (target.check()) return null;
+  try {
+    return (await target.exec(['option', 'get', 'siteurl'])).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Ask the download server whether each key unlocks its Pro plugin. It
+// answers 401/403 for a bad key and 200 or a redirect to the zip otherwise.
+async function verifyLicenses(product) {
+  const licenses = listLicenses().filter(l => !product || l.product === product);
+  if (licenses.length === 0) {
+    error(product ? `No license key for ${product}. Add one with: skunk license add ${product}` : 'No license keys saved. Add one with: skunk license add <product>', EXIT.NOT_FOUND);
+    return false;
+  }
+  
+  const rows = await mapLimit(licenses, DEFAULT_CONCURRENCY, async (license) => {
+    const plugin = getProducts()[license.product];
+    if (!plugin || !plugin.proSlug) return { license, ok: false, status: 'unknown product', error: null };
+    
+    try {
+      const status = await fetchStatus(`${DOWNLOAD_BASE}?slug=${plugin.proSlug}&license_key=${encodeURIComponent(license.key)}`);
+      if (status === 200 || (status >= 300 && status < 400)) {
+        return { license, ok: true, status: 'valid', error: null };
+      }
+      if (status === 401 || status === 403) {
+        return { license, ok: false, status: 'rejected', error: null };
+      }
+      return { license, ok: false, status: 'unknown', error: `HTTP ${status}` };
+    } catch (e) {
+      return { license, ok: false, status: 'unknown', error: redactSecrets(e.message) };
+    }
+  });
+  
+  setOutput({
+    licenses: rows.map(r => ({
+      product: r.license.product,
+      key: maskKey(r.license.key),
+      source: r.license.source,
+      ok: r.ok,
+      status: r.status,
+      error: r.error,
+    })),
+  });
+  
+  const statusCell = r => {
+    const color = r.ok ? colors.green : r.status === 'rejected' ? colors.red : colors.yellow;
+    return `${color}${r.status}${colors.reset}${r.error ? ` ${colors.dim}(${r.error})${colors.reset}` : ''}`;
+  };
+  
+  console.log('');
+  printTable(['Product', 'Key', 'Status'], rows.map(r => [r.license.product, maskKey(r.license.key), statusCell(r)]));
+  console.log('');
+  
+  return rows.every(r => r.ok);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Plugin Management
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Resolves with { ok, reason } so bundle installs can report what failed.
+// rest and flags are the install command's other arguments and options.
+async function installPlugin(name, rest, flags, options = {}) {
+  let targeting;
+  try {
+    targeting = parseTargetArgs(rest, flags);
+  } catch (e) {
+    error(e.message);
+    return { ok: false, reason: e.message };
+  }
+  
+  const request = pluginRequest(name, flags);
+  if (!request.ok) return request;
+  
+  if (targeting.sites) {
+    return installPluginOnSites(request, targeting.sites, targeting.concurrency);
+  }
+  
+  const { plugin, displayName } = request;
+  
+  // Work out which site to install on (--site, --path, --ssh, @alias, --studio)
+  let target = options.target;
+  if (!target) {
+    try {
+      target = resolveTarget(targeting.spec);
+    } catch (e) {
+      error(e.message);
+      return { ok: false, reason: e.message };
+    }
+  }
+  
+  const problem = target.check();
+  if (problem && target.type !== 'default') {
+    error(`Can't reach ${target.label}: ${problem}`, EXIT.NO_WORDPRESS);
+    return { ok: false, reason: problem };
+  }
+  
+  if (problem) {
+    error('No WordPress CLI found.', EXIT.NO_WORDPRESS);
+    console.log(`
+To install WordPress plugins, you need either:
+
+  ${colors.cyan}WP-CLI${colors.reset} (for server/local installs)
+    https://wp-cli.org/
+
+  ${colors.cyan}WordPress Studio${colors.reset} (for local development)
+    https://developer.wordpress.org/studio/
+    macOS: brew install --cask wordpress-studio
+`);
+    return { ok: false, reason: 'no WP-CLI or WordPress Studio found' };
+  }
+  
+  console.log(`Installing ${displayName}${target.type === 'default' ? '' : ` on ${target.label}`}...`);
+  
+  // Download and verify the zip ourselves so WP-CLI only ever sees checked
+  // bytes; remote sites get a copy over ssh
+  let installFrom = request.downloadUrl;
+  let upload = null;
+  let zip = null;
+  try {
+    zip = await preparePluginZip(request);
+    if (zip) {
+      upload = await target.upload(zip);
+      installFrom = upload.path;
+    }
+  } catch (e) {
+    return reportDownloadError(request, e);
+  }
+  
+  const before = await readInstalledVersion(target, request.slug);
+  
+  // A pinned version replaces whatever is installed, including newer ones
+  const cmd = target.command(['plugin', 'install', installFrom, '--activate', ...(request.version ? ['--force'] : [])]);
+  
+  try {
+    runCommand(cmd);
+    success(`Installed ${displayName}`);
+    const version = await rememberPluginInstall(target, request.slug, zip, before);
+    
+    // Suggest installing the skill too, unless this is part of a bundle
+    if (options.tip !== false && plugin.skill) {
+      console.log(`\n${colors.dim}Tip: Install the AI skill to let your assistant manage ${plugin.name}:${colors.reset}`);
+      console.log(`  skunk install ${request.name}  ${colors.dim}# skill + plugin${colors.reset}\n`);
+    }
+    
+    return { ok: true, slug: request.slug, version, target: describeTarget(target) };
+  } catch (e) {
+    error(`Failed to install ${displayName}`);
+    if (target.type === 'default' && commandExists('studio')) {
+      console.log(`\n${colors.dim}If using WordPress Studio, make sure you have a site selected, or pass --studio=<site>.${colors.reset}`);
+    }
+    return { ok: false, reason: `plugin install failed on ${target.label}`, slug: request.slug, target: describeTarget(target) };
+  } finally {
+    if (upload) await removeUpload(target, upload);
+  }
+}
+
+// Work out what to download for "<plugin>[-pro][@version]" and its options,
+// reporting unknown plugins and missing licenses. Returns { ok: false,
+// reason } or the request details. Pass { licenseOptional: true } when a
+// cached zip may make the download unnecessary.
+function pluginRequest(spec, flags, options = {}) {
+  // Parse "@version"; the registry knows whether the name is a Pro plugin
+  const [name, version = null] = spec.split('@');
+  
+  if (version !== null && !/^[0-9][\w.-]*$/.test(version)) {
+    error(`Invalid plugin version: ${spec}`, EXIT.USAGE);
+    return { ok: false, reason: `invalid version ${version}` };
+  }
+  
+  const found = findProduct(name);
+  
+  if (!found) {
+    error(`Unknown plugin: ${name}`, EXIT.NOT_FOUND);
+    if (!json) {
+      console.log('\nAvailable plugins:');
+      listPlugins();
+    }
+    return { ok: false, reason: `unknown plugin ${name}` };
+  }
+  
+  const { key, product: plugin, pro: isPro, slug } = found;
+  
+  // --license, falling back to the saved key
+  let license = flags.license || null;
+  
+  const displayName = isPro ? `${plugin.name} Pro` : plugin.name;
+  
+  if (isPro && !license) {
+    try {
+      const saved = getLicense(key);
+      license = saved ? saved.key : null;
+    } catch (e) {
+      error(e.message);
+      return { ok: false, reason: 'could not read license keys' };
+    }
+  }
+  
+  // Pro requires license
+  if (isPro && !license && !options.licenseOptional) {
+    warn(`${displayName} requires a license key. Save yours with:`);
+    console.log(`  skunk license add ${key}\n`);
+    console.log(`${colors.dim}or pass --license=YOUR_LICENSE_KEY. Get a license at: https://skunkglobal.com/pricing${colors.reset}`);
+    fail();
+    return { ok: false, reason: 'license key required' };
+  }
+  
+  // Build download URL
+  let downloadUrl = `${DOWNLOAD_BASE}?slug=${slug}`;
+  
+  // Pin a release
+  if (version) {
+    downloadUrl += `&version=${encodeURIComponent(version)}`;
+  }
+  
+  // Add license key for Pro versions
+  if (isPro && license) {
+    downloadUrl += `&license_key=${encodeURIComponent(license)}`;
+  }
+  
+  return {
+    ok: true,
+    name,
+    plugin,
+    slug,
+    version,
+    displayName: version ? `${displayName} ${version}` : displayName,
+    downloadUrl,
+    needsLicense: isPro && !license,
+    licensed: isPro && Boolean(license),
+    skipVerify: Boolean(flags['skip-verify']),
+  };
+}
+
+// Fetch and verify the plugin zip once per command. Resolves with its local
+// path, or null when --skip-verify leaves the download to WP-CLI. Pinned
+// versions come from the local cache when they're in it, and so does the
+// latest release when offline. Pro downloads are always fetched here: their
+// URL carries the license key, which must not reach a WP-CLI command line
+// (or a remote shell's history).
+async function preparePluginZip(request) {
+  const version = request.version || (offline ? await latestCachedVersion(request.slug) : null);
+  const cached = version ? getCachedZip(request.slug, version) : null;
+  if (cached) {
+    console.log(`${colors.dim}Using cached ${request.slug} ${version}${colors.reset}`);
+    return cached;
+  }
+  
+  if (request.needsLicense) {
+    throw new Error(`${request.displayName} is not cached and needs a license key to download (skunk license add ${request.plugin.slug})`);
+  }
+  if (request.skipVerify) {
+    warn('Skipping checksum verification (--skip-verify)');
+    if (!request.licensed) return null;
+  }
+  return downloadPlugin(request.slug, request.downloadUrl, request.version, { verify: !request.skipVerify });
+}
+
+// The latest release of a plugin as last fetched, or null if unknown
+async function latestCachedVersion(slug) {
+  try {
+    const latest = (await fetchLatestVersions())[slug];
+    return latest ? latest.version : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// After a successful install, cache the zip under the version that actually
+// went in and add it to the site's history for `skunk rollback plugin`.
+// Resolves with the installed version, or null if it couldn't be read.
+async function rememberPluginInstall(target, slug, zip, before) {
+  let now;
+  try {
+    now = (await readInstalledVersions(target))[slug];
+  } catch (e) {
+    return null;
+  }
+  if (!now) return null;
+  
+  try {
+    if (zip) cachePluginZip(slug, now, zip);
+    recordInstall(target.id, slug, before || null, now);
+  } catch (e) {
+    warn(`Could not record ${slug} ${now} for rollback: ${e.message}`);
+  }
+  return now;
+}
+
+// Remove an uploaded zip from the site's machine. It's only a temp file, so
+// failing to is worth a warning but doesn't fail the command.
+async function removeUpload(target, upload) {
+  try {
+    await upload.cleanup();
+  } catch (e) {
+    warn(`Could not remove ${upload.path} from ${target.label}: ${e.message}`);
+  }
+}
+
+function reportDownloadError(request, e) {
+  if (e.code !== 'EINTEGRITY') {
+    error(`Could not download ${request.displayName}: ${redactSecrets(e.message)}`, EXIT.NETWORK);
+    return { ok: false, reason: 'download failed' };
+  }
+  error(`Could not verify ${request.displayName}: ${e.message}`);
+  console.log(`\n${colors.dim}Nothing was installed. To install anyway: skunk install plugin ${request.name} --skip-verify${colors.reset}`);
+  return { ok: false, reason: 'checksum verification failed' };
+}
+
+// Install one plugin on many saved sites, a few at a time, then print a
+// matrix of what happened on each
+async function installPluginOnSites(request, sites, concurrency) {
+  const { displayName, slug } = request;
+  
+  console.log(`Installing ${displayName} on ${sites.length} site${sites.length === 1 ? '' : 's'} (${concurrency} at a time)...\n`);
+  
+  let zip;
+  try {
+    zip = await preparePluginZip(request);
+  } catch (e) {
+    return reportDownloadError(request, e);
+  }
+  
+  let latest = null;
+  try {
+    latest = await fetchLatestVersions();
+  } catch (e) {
+    // Only used for the Latest column
+  }
+  
+  const results = await mapLimit(sites, concurrency, async (site) => {
+    const row = { site: site.name, ok: false, installed: null, reason: null };
+    let target;
+    let upload = null;
+    
+    try {
+      target = resolveTarget({ type: 'site', value: site.name });
+      const problem = target.check();
+      if (problem) throw new Error(problem);
+      
+      upload = zip ? await target.upload(zip) : null;
+      const before = await readInstalledVersion(target, slug);
+      await target.exec(['plugin', 'install', upload ? upload.path : request.downloadUrl, '--activate', ...(request.version ? ['--force'] : [])]);
+      
+      row.ok = true;
+      row.installed = await rememberPluginInstall(target, slug, zip, before);
+    } catch (e) {
+      row.reason = redactSecrets(e.message);
+    } finally {
+      if (upload) await removeUpload(target, upload);
+    }
+    
+    console.log(`  ${row.ok ? `${colors.green}✓${colors.reset}` : `${colors.red}✗${colors.reset}`} ${site.name}`);
+    return row;
+  });
+  
+  const latestVersion = latest && latest[slug] ? latest[slug].version : null;
+  
+  console.log('');
+  printTable(['Site', 'Result', 'Installed', 'Latest'], results.map(r => [
+    r.site,
+    r.ok ? `${colors.green}installed${colors.reset}` : `${colors.red}failed${colors.reset} ${colors.dim}${r.reason}${colors.reset}`,
+    r.installed || `${colors.dim}-${colors.reset}`,
+    latestVersion || `${colors.dim}?${colors.reset}`,
+  ]));
+  console.log('');
+  
+  const failed = results.filter(r => !r.ok).length;
+  if (failed > 0) {
+    warn(`${displayName}: ${results.length - failed} succeeded, ${failed} failed`);
+    fail(failed < results.length ? EXIT.PARTIAL : EXIT.FAILURE);
+    return { ok: false, reason: `failed on ${failed} of ${results.length} sites`, slug, sites: results };
+  }
+  
+  success(`Installed ${displayName} on ${results.length} site${results.length === 1 ? '' : 's'}`);
+  return { ok: true, slug, sites: results };
+}
+
+// Download a plugin zip to a temp file and check it against the checksum
+// the versions API publishes for that slug: the latest release's, or for a
+// pinned version, its entry under "versions". { verify: false } skips the
+// check. Resolves with the zip's path. Zips bypass the HTTP cache, which
+// would otherwise keep every one ever downloaded; the installed ones are
+// kept by lib/plugin-cache instead.
+async function downloadPlugin(slug, downloadUrl, version = null, options = {}) {
+  const label = version ? `${slug} ${version}` : slug;
+  const zip = await fetchBuffer(downloadUrl, { maxBytes: MAX_PLUGIN_BYTES, cache: false });
+  if (zip === null) {
+    throw new Error(`${label} is not available for download`);
+  }
+  
+  if (options.verify !== false) {
+    const versions = await fetchJson(VERSIONS_URL, { ttl: VERSIONS_TTL });
+    const latest = versions && versions.plugins ? versions.plugins[slug] : null;
+    let info = latest;
+    if (version && latest && latest.version !== version) {
+      info = (latest.versions || {})[version] || null;
+    }
+    
+    const release = { slug, version: version || (latest && latest.version) };
+    if (verifyDownload('skunk', release, zip, info)) {
+      success(`Verified ${slug}.zip checksum`);
+    } else {
+      warn(`No checksum published for ${label}; installing it unverified`);
+    }
+  }
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skunk-plugin-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  
+  const zipPath = path.join(dir, `${slug}.zip`);
+  fs.writeFileSync(zipPath, zip);
+  return zipPath;
+}
+
+function listPlugins() {
+  if (json) {
+    setOutput({
+      plugins: Object.entries(getProducts()).flatMap(([key, plugin]) => [
+        { slug: plugin.slug, name: plugin.name, product: key, pro: false, skill: plugin.skill },
+        ...(plugin.proSlug ? [{ slug: plugin.proSlug, name: `${plugin.name} Pro`, product: key, pro: true, skill: plugin.skill }] : []),
+      ]),
+    });
+    return;
+  }
+  
+  console.log('Available WordPress plugins:\n');
+  
+  for (const plugin of Object.values(getProducts())) {
+    console.log(`  ${colors.cyan}●${colors.reset} ${plugin.slug}${colors.dim} (${plugin.name} Free)${colors.reset}`);
+    if (plugin.proSlug) {
+      console.log(`  ${colors.cyan}●${colors.reset} ${plugin.proSlug}${colors.dim} (${plugin.name} Pro)${colors.reset}`);
+    }
+  }
+  
+  console.log(`
+${colors.dim}Install with: skunk install plugin <name>
+Pro versions: skunk license add <name>, then skunk install plugin <name>-pro
+Skip checksum verification with --skip-verify${colors.reset}
+`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Status - Check plugin versions
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function checkStatus(positionals, options) {
+  let targeting;
+  let target;
+  try {
+    targeting = parseTargetArgs(positionals, options);
+    if (!targeting.sites) target = resolveTarget(targeting.spec);
+  } catch (e) {
+    error(e.message);
+    return;
+  }
+  
+  // The same target for the upgrade command suggested below
+  const targetArgs = [...positionals, ...formatOptions(options)].join(' ');
+  
+  if (targeting.sites) {
+    await statusOnSites(targeting.sites, targeting.concurrency, targetArgs);
+    return;
+  }
+  
+  if (target.type !== 'default' && target.check()) {
+    error(`Can't reach ${target.label}: ${target.check()}`, EXIT.NO_WORDPRESS);
+    return;
+  }
+  
+  console.log(`Checking plugin versions${target.type === 'default' ? '' : ` on ${target.label}`}...\n`);
+  
+  try {
+    // Fetch latest versions from API
+    const latestVersions = await fetchLatestVersions();
+    
+    // Check if we're in a WordPress context (wp or studio available)
+    const inWordPress = !target.check();
+    
+    // Get installed versions if in WordPress context
+    let installedVersions = {};
+    if (inWordPress) {
+      try {
+        installedVersions = await readInstalledVersions(target);
+      } catch (e) {
+        // Couldn't get installed versions, that's ok in the current directory
+        if (target.type !== 'default') {
+          warn(`Could not list plugins on ${target.label}: ${e.message}`);
+        }
+      }
+    }
+    
+    if (json) {
+      const problems = await licenseWarnings(target, installedVersions);
+      problems.forEach(problem => warn(problem));
+      setOutput({
+        target: describeTarget(target),
+        plugins: Object.entries(latestVersions).map(([slug, info]) => ({
+          slug,
+          name: info.name,
+          type: info.type,
+          latest: info.version,
+          installed: installedVersions[slug] || null,
+          outdated: Boolean(installedVersions[slug]) && isOutdated(installedVersions[slug], info.version),
+        })),
+        licenseWarnings: problems,
+      });
+      return;
+    }
+    
+    const rows = [];
+    
+    // Free and Pro plugins
+    for (const [slug, info] of Object.entries(latestVersions)) {
+      const installed = installedVersions[slug];
+      const latestV = info.version;
+      
+      let status = '';
+      if (installed) {
+        if (!isOutdated(installed, latestV)) {
+          status = `${colors.green}${installed}${colors.reset} ✓`;
+        } else {
+          status = `${colors.yellow}${installed}${colors.reset} → ${latestV}`;
+        }
+      } else if (inWordPress) {
+        status = `${colors.dim}not installed${colors.reset}`;
+      }
+      
+      rows.push(inWordPress ? [slug, latestV, status] : [slug, latestV]);
+    }
+    
+    printTable(inWordPress ? ['Plugin', 'Latest', 'Installed'] : ['Plugin', 'Latest'], rows);
+    console.log('');
+    
+    const problems = await licenseWarnings(target, installedVersions);
+    problems.forEach(problem => warn(problem));
+    if (problems.length > 0) console.log('');
+    
+    // Show if updates available
+    const hasUpdates = Object.entries(installedVersions).some(([slug, v]) => {
+      const latest = latestVersions[slug];
+      return latest && isOutdated(v, latest.version);
+    });
+    
+    if (hasUpdates) {
+      console.log(`${colors.yellow}Updates available!${colors.reset} Run:`);
+      console.log(`  skunk upgrade plugin --all${target.type === 'default' ? '' : ` ${targetArgs}`}\n`);
+    } else if (Object.keys(installedVersions).length > 0) {
+      console.log(`${colors.green}All plugins up to date!${colors.reset}\n`);
+    }
+    
+  } catch (e) {
+    error('Failed to check versions: ' + e.message, EXIT.NETWORK);
+  }
+}
+
+// One row per saved site, one column per plugin
+async function statusOnSites(sites, concurrency, targetArgs) {
+  console.log(`Checking plugin versions on ${sites.length} site${sites.length === 1 ? '' : 's'} (${concurrency} at a time)...\n`);
+  
+  let latestVersions;
+  try {
+    latestVersions = await fetchLatestVersions();
+  } catch (e) {
+    error('Failed to check versions: ' + e.message, EXIT.NETWORK);
+    return;
+  }
+  
+  const licenses = new Map();
+  const results = await mapLimit(sites, concurrency, async (site) => {
+    try {
+      const target = resolveTarget({ type: 'site', value: site.name });
+      const problem = target.check();
+      if (problem) throw new Error(problem);
+      const installed = await readInstalledVersions(target);
+      return { site: site.name, installed, warnings: await licenseWarnings(target, installed, licenses) };
+    } catch (e) {
+      return { site: site.name, error: e.message };
+    }
+  });
+  
+  // Every free plugin, and Pro plugins that some site has installed
+  const slugs = Object.keys(latestVersions).filter(slug =>
+    latestVersions[slug].type === 'free' || results.some(r => r.installed && r.installed[slug]));
+  
+  if (json) {
+    results.filter(r => r.error).forEach(r => error(`${r.site}: ${r.error}`));
+    results.forEach(r => (r.warnings || []).forEach(problem => warn(`${r.site}: ${problem}`)));
+    setOutput({
+      latest: Object.fromEntries(slugs.map(slug => [slug, latestVersions[slug].version])),
+      sites: results.map(r => ({
+        site: r.site,
+        error: r.error || null,
+        plugins: r.error ? [] : Object.entries(r.installed).map(([slug, installed]) => ({
+          slug,
+          installed,
+          latest: latestVersions[slug] ? latestVersions[slug].version : null,
+          outdated: Boolean(latestVersions[slug]) && isOutdated(installed, latestVersions[slug].version),
+        })),
+        licenseWarnings: r.warnings || [],
+      })),
+    });
+    const failed = results.filter(r => r.error).length;
+    if (failed > 0) fail(failed < results.length ? EXIT.PARTIAL : EXIT.FAILURE);
+    return;
+  }
+  
+  const cell = (installed, latest) => {
+    if (!installed) return `${colors.dim}-${colors.reset}`;
+    if (!isOutdated(installed, latest)) return `${colors.green}${installed}${colors.reset}`;
+    return `${colors.yellow}${installed}${colors.reset}`;
+  };
+  
+  printTable(['Site', ...slugs], [
+    [`${colors.dim}latest${colors.reset}`, ...slugs.map(slug => `${colors.dim}${latestVersions[slug].version}${colors.reset}`)],
+    ...results.map(r => r.error
+      ? [r.site, `${colors.red}✗ ${r.error}${colors.reset}`]
+      : [r.site, ...slugs.map(slug => cell(r.installed[slug], latestVersions[slug].version))]),
+  ]);
+  console.log('');
+  
+  const problems = results.flatMap(r => (r.warnings || []).map(problem => `${r.site}: ${problem}`));
+  problems.forEach(problem => warn(problem));
+  if (problems.length > 0) console.log('');
+  
+  const failed = results.filter(r => r.error).length;
+  const outdated = results.filter(r => !r.error && slugs.some(slug => r.installed[slug] && isOutdated(r.installed[slug], latestVersions[slug].version))).length;
+  
+  if (outdated > 0) {
+    console.log(`${colors.yellow}${outdated} site${outdated === 1 ? ' has' : 's have'} updates available.${colors.reset} Run:`);
+    console.log(`  skunk upgrade plugin --all ${targetArgs}\n`);
+  }
+  if (failed > 0) {
+    warn(`${failed} of ${results.length} sites could not be checked`);
+    fail(failed < results.length ? EXIT.PARTIAL : EXIT.FAILURE);
+  } else if (outdated === 0) {
+    console.log(`${colors.green}All sites up to date!${colors.reset}`);
+  }
+  console.log('');
+}
+
+// True when the installed version is older than the latest release
+function isOutdated(installed, latest) {
+  return semver.compareLoose(installed, latest) < 0;
+}
+
+// Latest release of every plugin, keyed by slug. The same response carries
+// the plugin registry, which is kept up to date from it.
+async function fetchLatestVersions() {
+  const data = await fetchJson(VERSIONS_URL, { ttl: VERSIONS_TTL });
+  if (!data || !data.plugins) {
+    throw new Error('Failed to fetch version info');
+  }
+  updateRegistry(data);
+  return data.plugins;
+}
+
+// One plugin's installed version, or null when it isn't installed or the
+// site can't be read
+async function readInstalledVersion(target, slug) {
+  try {
+    return (await readInstalledVersions(target))[slug] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Versions of our plugins installed on a target, keyed by slug
+async function readInstalledVersions(target) {
+  const installed = {};
+  for (const [slug, p] of Object.entries(await listInstalledPlugins(target))) {
+    installed[slug] = p.version;
+  }
+  return installed;
+}
+
+// Our plugins installed on a target as WP-CLI lists them ({ name, status,
+// version }), keyed by our slug
+async function listInstalledPlugins(target) {
+  const plugins = JSON.parse(await target.exec(['plugin', 'list', '--format=json']));
+  const installed = {};
+  
+  for (const p of plugins) {
+    // Map WP plugin slugs to our slugs (skunk-crm → skunkcrm)
+    const slug = pluginSlug(p.name);
+    if (slug) installed[slug] = p;
+  }
+  return installed;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Upgrade - Bring installed plugins up to the latest release
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function handleUpgrade(positionals, options) {
+  const [type, ...rest] = positionals;
+  const name = rest.find(arg => !arg.startsWith('@'));
+  
+  if (type !== 'plugin' || (!name && !options.all) || (name && options.all)) {
+    showUsage('upgrade');
+    return;
+  }
+  
+  await upgradePlugins(name || null, rest.filter(arg => arg !== name), options);
+}
+
+// Upgrade one plugin (or all installed ones when name is null) in place on
+// each target, downloading and verifying each zip only once
+async function upgradePlugins(name, rest, flags) {
+  let targeting;
+  let targets;
+  try {
+    targeting = parseTargetArgs(rest, flags);
+    targets = targeting.sites
+      ? targeting.sites.map(site => ({ site: site.name, spec: { type: 'site', value: site.name } }))
+      : [{ site: null, spec: targeting.spec }];
+  } catch (e) {
+    error(e.message);
+    return;
+  }
+  
+  const found = name ? findProduct(name) : null;
+  if (name && !found) {
+    pluginRequest(name, flags);
+    return;
+  }
+  
+  let latestVersions;
+  try {
+    latestVersions = await fetchLatestVersions();
+  } catch (e) {
+    error('Failed to check versions: ' + e.message, EXIT.NETWORK);
+    return;
+  }
+  
+  // Requests and zips are shared by every site that needs the same plugin
+  const requests = new Map();
+  const zips = new Map();
+  const requestFor = slug => {
+    if (!requests.has(slug)) requests.set(slug, pluginRequest(slug, flags));
+    return requests.get(slug);
+  };
+  const zipFor = (slug, request) => {
+    if (!zips.has(slug)) zips.set(slug, preparePluginZip(request));
+    return zips.get(slug);
+  };
+  
+  const perTarget = await mapLimit(targets, targeting.concurrency, async ({ site, spec }) => {
+    let target;
+    let installed;
+    try {
+      target = resolveTarget(spec);
+      const problem = target.check();
+      if (problem) throw new Error(problem);
+      installed = await readInstalledVersions(target);
+    } catch (e) {
+      return [{ site, slug: name || '-', result: 'failed', reason: e.message }];
+    }
+    
+    const slugs = found ? [found.slug] : Object.keys(installed).sort();
+    const rows = [];
+    
+    for (const slug of slugs) {
+      const row = { site, slug, from: installed[slug] || null, to: null, result: 'failed', reason: null };
+      rows.push(row);
+      
+      const latest = latestVersions[slug];
+      if (!row.from) {
+        row.reason = `not installed (use: skunk install plugin ${slug})`;
+        continue;
+      }
+      if (!latest) {
+        row.reason = 'no release information';
+        continue;
+      }
+      if (!isOutdated(row.from, latest.version)) {
+        row.result = 'current';
+        continue;
+      }
+      
+      const request = requestFor(slug);
+      if (!request.ok) {
+        row.result = name ? 'failed' : 'skipped';
+        row.reason = request.reason;
+        continue;
+      }
+      
+      let upload = null;
+      try {
+        const zip = await zipFor(slug, request);
+        upload = zip ? await target.upload(zip) : null;
+        
+        // --force overwrites the installed copy; activation is left as it was
+        await target.exec(['plugin', 'install', upload ? upload.path : request.downloadUrl, '--force']);
+        
+        const now = await rememberPluginInstall(target, slug, zip, row.from);
+        if (now && !isOutdated(row.from, now)) {
+          row.reason = `still ${now} after installing the update`;
+        } else {
+          row.to = now || latest.version;
+          row.result = 'upgraded';
+        }
+      } catch (e) {
+        row.reason = e.code === 'EINTEGRITY' ? `checksum verification failed: ${e.message}` : redactSecrets(e.message);
+      } finally {
+        if (upload) await removeUpload(target, upload);
+      }
+    }
+    
+    return rows;
+  });
+  
+  const rows = perTarget.flat();
   
-  fs.rmSync(skillDir, { recursive: true, force: true });
-  success(`Removed skill "${name}"`);
-}
-
-function listSkills() {
-  if (!fs.existsSync(OPENCLAW_DIR)) {
-    console.log('No skills installed yet.');
-    console.log('Run "skunk available" to see available skills.');
+  if (rows.length === 0) {
+    console.log('No Skunk plugins are installed on this site.');
     return;
   }
   
-  const skills = fs.readdirSync(OPENCLAW_DIR).filter(f => {
-    const skillPath = path.join(OPENCLAW_DIR, f);
-    return fs.statSync(skillPath).isDirectory() && 
-           fs.existsSync(path.join(skillPath, 'SKILL.md'));
-  });
+  const resultCell = row => {
+    switch (row.result) {
+      case 'upgraded': return `${colors.green}upgraded${colors.reset}`;
+      case 'current': return `${colors.dim}up to date${colors.reset}`;
+      case 'skipped': return `${colors.yellow}skipped${colors.reset} ${colors.dim}${row.reason}${colors.reset}`;
+      default: return `${colors.red}failed${colors.reset} ${colors.dim}${row.reason}${colors.reset}`;
+    }
+  };
+  const versionCell = row => {
+    if (!row.from) return `${colors.dim}-${colors.reset}`;
+    if (row.to) return `${row.from} → ${colors.green}${row.to}${colors.reset}`;
+    return row.from;
+  };
   
-  if (skills.length === 0) {
-    console.log('No skills installed yet.');
+  console.log('');
+  if (targeting.sites) {
+    printTable(['Site', 'Plugin', 'Version', 'Result'], rows.map(r => [r.site, r.slug, versionCell(r), resultCell(r)]));
   } else {
-    console.log('Installed skills:\n');
-    skills.forEach(s => console.log(`  ${colors.green}●${colors.reset} ${s}`));
-    console.log(`\n${colors.dim}Skills location: ${OPENCLAW_DIR}${colors.reset}`);
+    printTable(['Plugin', 'Version', 'Result'], rows.map(r => [r.slug, versionCell(r), resultCell(r)]));
   }
-}
-
-async function listAvailable() {
-  console.log('Fetching available skills...\n');
+  console.log('');
   
-  const url = `https://api.github.com/repos/${SKILLS_REPO}/contents/skills?ref=${SKILLS_BRANCH}`;
+  const upgraded = rows.filter(r => r.result === 'upgraded').length;
+  const failed = rows.filter(r => r.result === 'failed').length;
   
-  https.get(url, { headers: { 'User-Agent': 'skunk-cli' } }, (res) => {
-    let data = '';
-    res.on('data', chunk => data += chunk);
-    res.on('end', () => {
-      try {
-        const skills = JSON.parse(data);
-        console.log('Available AI skills:\n');
-        skills.filter(s => s.type === 'dir').forEach(s => {
-          console.log(`  ${colors.cyan}●${colors.reset} ${s.name}`);
-        });
-        console.log(`\n${colors.dim}Install with: skunk install skill <name>${colors.reset}`);
-      } catch (e) {
-        error('Failed to fetch skills list');
-      }
-    });
-  }).on('error', (e) => {
-    error('Failed to fetch skills: ' + e.message);
-  });
+  if (failed > 0) {
+    warn(`${upgraded} upgraded, ${failed} failed`);
+    fail(upgraded > 0 ? EXIT.PARTIAL : EXIT.FAILURE);
+  } else if (upgraded > 0) {
+    success(`Upgraded ${upgraded} plugin${upgraded === 1 ? '' : 's'}`);
+  } else {
+    success('Everything is up to date');
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// Plugin Management
+// Rollback - Restore the previously installed plugin build
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function installPlugin(name, extraArgs) {
-  // Parse name for -pro suffix
-  let pluginKey = name.replace(/-pro$/, '');
-  let isPro = name.endsWith('-pro');
-  
-  const plugin = PLUGIN_REGISTRY[pluginKey];
+async function handleRollback(positionals, options) {
+  const [type, name, ...rest] = positionals;
   
-  if (!plugin) {
-    error(`Unknown plugin: ${name}`);
-    console.log('\nAvailable plugins:');
-    listPlugins();
+  if (type !== 'plugin' || !name) {
+    showUsage('rollback');
     return;
   }
   
-  // Parse license from args
-  let license = null;
-  for (const arg of extraArgs) {
-    if (arg.startsWith('--license=')) {
-      license = arg.split('=')[1];
+  const ok = await rollbackPlugin(name, rest, options);
+  if (!ok) fail();
+}
+
+async function rollbackPlugin(name, rest, flags) {
+  let targeting;
+  let target;
+  try {
+    targeting = parseTargetArgs(rest, flags);
+    if (targeting.sites) {
+      throw new Error('Rollback works on one site at a time; use --site=<name>');
     }
+    target = resolveTarget(targeting.spec);
+  } catch (e) {
+    error(e.message);
+    return false;
   }
   
-  // Detect WP-CLI or WordPress Studio
-  const hasWpCli = commandExists('wp');
-  const hasStudio = commandExists('studio');
+  if (name.includes('@')) {
+    error(`To install a specific version use: skunk install plugin ${name}`, EXIT.USAGE);
+    return false;
+  }
   
-  if (!hasWpCli && !hasStudio) {
-    error('No WordPress CLI found.');
-    console.log(`
-To install WordPress plugins, you need either:
-
-  ${colors.cyan}WP-CLI${colors.reset} (for server/local installs)
-    https://wp-cli.org/
-
-  ${colors.cyan}WordPress Studio${colors.reset} (for local development)
-    https://developer.wordpress.org/studio/
-    macOS: brew install --cask wordpress-studio
-`);
-    return;
+  const problem = target.check();
+  if (problem) {
+    error(`Can't reach ${target.label}: ${problem}`, EXIT.NO_WORDPRESS);
+    return false;
   }
   
-  // Build download URL
-  const slug = isPro ? plugin.proSlug : plugin.slug;
-  let downloadUrl = `${DOWNLOAD_BASE}?slug=${slug}`;
+  const base = pluginRequest(name, flags, { licenseOptional: true });
+  if (!base.ok) return false;
   
-  // Add license key for Pro versions
-  if (isPro && license) {
-    downloadUrl += `&license_key=${license}`;
+  const current = await readInstalledVersion(target, base.slug);
+  if (!current) {
+    error(`${base.displayName} is not installed on ${target.label}`, EXIT.NOT_FOUND);
+    return false;
   }
   
-  const displayName = isPro ? `${plugin.name} Pro` : plugin.name;
+  const previous = previousVersion(target.id, base.slug, current);
+  if (!previous) {
+    error(`No earlier version of ${base.displayName} is recorded for ${target.label}.`, EXIT.NOT_FOUND);
+    console.log(`${colors.dim}Install a specific version with: skunk install plugin ${name}@<version>${colors.reset}`);
+    return false;
+  }
   
-  console.log(`Installing ${displayName}...`);
+  const request = pluginRequest(`${name}@${previous}`, flags, { licenseOptional: true });
   
-  // Pro requires license
-  if (isPro && !license) {
-    warn('Pro version requires a license key.');
-    console.log(`  skunk install plugin ${name} --license=YOUR_LICENSE_KEY\n`);
-    console.log(`${colors.dim}Get a license at: https://skunkglobal.com/pricing${colors.reset}`);
-    return;
-  }
+  console.log(`Rolling back ${base.displayName} on ${target.label}: ${current} → ${previous}...`);
   
-  // Build the command
-  let cmd;
-  if (hasStudio) {
-    cmd = `studio wp plugin install "${downloadUrl}" --activate`;
-  } else {
-    cmd = `wp plugin install "${downloadUrl}" --activate`;
+  let zip;
+  let upload = null;
+  try {
+    zip = await preparePluginZip(request);
+    upload = zip ? await target.upload(zip) : null;
+  } catch (e) {
+    reportDownloadError(request, e);
+    return false;
   }
   
-  console.log(`${colors.dim}Running: ${cmd}${colors.reset}\n`);
-  
   try {
-    execSync(cmd, { stdio: 'inherit' });
-    success(`Installed ${displayName}`);
-    
-    // Suggest installing the skill too
-    console.log(`\n${colors.dim}Tip: Install the AI skill to let your assistant manage ${plugin.name}:${colors.reset}`);
-    console.log(`  skunk install skill ${pluginKey}\n`);
-    
+    runCommand(target.command(['plugin', 'install', upload ? upload.path : request.downloadUrl, '--force', '--activate']));
   } catch (e) {
-    error(`Failed to install ${displayName}`);
-    console.log(`\n${colors.dim}If using WordPress Studio, make sure you have a site selected.${colors.reset}`);
+    error(`Failed to roll back ${base.displayName}; ${current} is still installed`);
+    return false;
+  } finally {
+    if (upload) await removeUpload(target, upload);
   }
-}
-
-function listPlugins() {
-  console.log('Available WordPress plugins:\n');
   
-  for (const [key, plugin] of Object.entries(PLUGIN_REGISTRY)) {
-    console.log(`  ${colors.cyan}●${colors.reset} ${key}${colors.dim} (${plugin.name} Free)${colors.reset}`);
-    console.log(`  ${colors.cyan}●${colors.reset} ${key}-pro${colors.dim} (${plugin.name} Pro)${colors.reset}`);
+  const now = await readInstalledVersion(target, base.slug);
+  if (now !== previous) {
+    error(`Expected ${base.displayName} ${previous} after the rollback, but found ${now || 'nothing'}`);
+    return false;
   }
   
-  console.log(`
-${colors.dim}Install with: skunk install plugin <name>
-Pro versions: skunk install plugin <name>-pro --license=XXXX${colors.reset}
-`);
+  if (zip) cachePluginZip(base.slug, previous, zip);
+  recordRollback(target.id, base.slug, previous);
+  success(`Rolled back ${base.displayName} to ${previous} and activated it`);
+  return true;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// Status - Check plugin versions
+// Plugin Lifecycle - Activate, deactivate and remove installed plugins
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function checkStatus() {
-  console.log('Checking plugin versions...\n');
+async function handlePluginState(command, positionals, options) {
+  const [type, name, ...rest] = positionals;
+  
+  if (type !== 'plugin' || !name) {
+    showUsage(command);
+    return;
+  }
+  
+  const ok = await setPluginActive(name, rest, options, command === 'activate');
+  if (!ok) fail();
+}
+
+async function setPluginActive(name, rest, flags, activate) {
+  const found = await findInstalledPlugin(name, rest, flags);
+  if (!found) return false;
   
-  // Fetch latest versions from API
-  const versionsUrl = 'https://skunkglobal.com/api/plugins/versions';
+  const { target, installed, displayName } = found;
+  const active = installed.status.startsWith('active');
+  
+  if (active === activate) {
+    success(`${displayName} is already ${activate ? 'active' : 'inactive'} on ${target.label}`);
+    return true;
+  }
   
   try {
-    const latestVersions = await new Promise((resolve, reject) => {
-      https.get(versionsUrl, { headers: { 'User-Agent': 'skunk-cli' } }, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error('Invalid response'));
-          }
-        });
-      }).on('error', reject);
-    });
-    
-    if (!latestVersions.plugins) {
-      error('Failed to fetch version info');
-      return;
+    runCommand(target.command(activate
+      ? ['plugin', 'activate', installed.name]
+      : ['plugin', 'deactivate', installed.name, ...networkFlag(installed)]));
+  } catch (e) {
+    error(`Failed to ${activate ? 'activate' : 'deactivate'} ${displayName} on ${target.label}`);
+    return false;
+  }
+  success(`${activate ? 'Activated' : 'Deactivated'} ${displayName} on ${target.label}`);
+  return true;
+}
+
+// Uninstall a plugin. By default WP-CLI runs its uninstall routine, which
+// deletes its options and tables; --keep-data only deletes its files, so
+// reinstalling picks up where it left off.
+async function removePlugin(name, rest, flags) {
+  const found = await findInstalledPlugin(name, rest, flags);
+  if (!found) return false;
+  
+  const { target, installed, displayName } = found;
+  const keepData = Boolean(flags['keep-data']);
+  
+  if (!flags.yes) {
+    if (keepData) {
+      console.log(`This deletes ${displayName} ${installed.version} from ${target.label}. Its settings and data stay in the database.`);
+    } else {
+      warn(`This uninstalls ${displayName} ${installed.version} from ${target.label} and deletes its settings and data.`);
+      console.log(`${colors.dim}To keep them, pass --keep-data.${colors.reset}`);
     }
-    
-    // Check if we're in a WordPress context (wp or studio available)
-    const hasWpCli = commandExists('wp');
-    const hasStudio = commandExists('studio');
-    const inWordPress = hasWpCli || hasStudio;
-    
-    // Get installed versions if in WordPress context
-    let installedVersions = {};
-    if (inWordPress) {
-      try {
-        const cmd = hasStudio ? 'studio wp plugin list --format=json' : 'wp plugin list --format=json';
-        const output = execSync(cmd, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] });
-        const plugins = JSON.parse(output);
-        
-        for (const p of plugins) {
-          // Map WP plugin slugs to our slugs
-          if (p.name === 'skunk-crm' || p.name === 'skunkcrm') {
-            installedVersions['skunkcrm'] = p.version;
-          } else if (p.name === 'skunk-forms' || p.name === 'skunkforms') {
-            installedVersions['skunkforms'] = p.version;
-          } else if (p.name === 'skunk-pages' || p.name === 'skunkpages') {
-            installedVersions['skunkpages'] = p.version;
-          }
-        }
-      } catch (e) {
-        // Couldn't get installed versions, that's ok
-      }
+    if (!process.stdin.isTTY) {
+      error(`Can't ask before removing ${displayName} when not running interactively. Pass --yes to remove it.`, EXIT.USAGE);
+      return false;
     }
-    
-    console.log(`${colors.bright}Plugin${colors.reset}            ${colors.bright}Latest${colors.reset}      ${inWordPress ? `${colors.bright}Installed${colors.reset}` : ''}`);
-    console.log('─'.repeat(inWordPress ? 50 : 30));
-    
-    // Show free plugins
-    for (const [slug, info] of Object.entries(latestVersions.plugins)) {
-      if (info.type === 'free') {
-        const installed = installedVersions[slug];
-        const latestV = info.version;
-        
-        let status = '';
-        if (installed) {
-          if (installed === latestV) {
-            status = `${colors.green}${installed}${colors.reset} ✓`;
-          } else {
-            status = `${colors.yellow}${installed}${colors.reset} → ${latestV}`;
-          }
-        } else if (inWordPress) {
-          status = `${colors.dim}not installed${colors.reset}`;
-        }
-        
-        const padding = ' '.repeat(Math.max(0, 16 - slug.length));
-        const vPadding = ' '.repeat(Math.max(0, 10 - latestV.length));
-        console.log(`${slug}${padding}${latestV}${vPadding}${status}`);
-      }
+    if (!(await confirm(`Remove ${displayName}?`))) {
+      addResult({ type: 'plugin', name, ok: true, removed: false, reason: 'not confirmed', target: describeTarget(target) });
+      console.log(`${colors.dim}Kept ${displayName}. Pass --yes to remove it without asking.${colors.reset}`);
+      return true;
     }
-    
-    console.log('');
-    
-    // Show if updates available
-    const hasUpdates = Object.entries(installedVersions).some(([slug, v]) => {
-      const latest = latestVersions.plugins[slug];
-      return latest && latest.version !== v;
-    });
-    
-    if (hasUpdates) {
-      console.log(`${colors.yellow}Updates available!${colors.reset} Run:`);
-      console.log(`  skunk install plugin <name>\n`);
-    } else if (Object.keys(installedVersions).length > 0) {
-      console.log(`${colors.green}All plugins up to date!${colors.reset}\n`);
+  }
+  
+  const commands = keepData
+    ? [
+      ...(installed.status.startsWith('active') ? [['plugin', 'deactivate', installed.name, ...networkFlag(installed)]] : []),
+      ['plugin', 'delete', installed.name],
+    ]
+    : [['plugin', 'uninstall', installed.name, '--deactivate']];
+  
+  for (const args of commands) {
+    try {
+      runCommand(target.command(args));
+    } catch (e) {
+      error(`Failed to remove ${displayName} from ${target.label}`);
+      return false;
     }
-    
+  }
+  
+  addResult({ type: 'plugin', name, ok: true, removed: true, keptData: keepData, version: installed.version, target: describeTarget(target) });
+  success(keepData
+    ? `Removed ${displayName} from ${target.label}; its data was kept`
+    : `Uninstalled ${displayName} from ${target.label}`);
+  return true;
+}
+
+// The target a lifecycle command runs on and the plugin as WP-CLI lists it
+// there, or null after reporting why it can't go ahead
+async function findInstalledPlugin(name, rest, flags) {
+  let target;
+  try {
+    const targeting = parseTargetArgs(rest, flags);
+    if (targeting.sites) {
+      throw new Error('This command works on one site at a time; use --site=<name>');
+    }
+    target = resolveTarget(targeting.spec);
+  } catch (e) {
+    error(e.message);
+    return null;
+  }
+  
+  if (name.includes('@')) {
+    error(`Plugin versions only apply to installs: skunk install plugin ${name}`, EXIT.USAGE);
+    return null;
+  }
+  
+  const request = pluginRequest(name, {}, { licenseOptional: true });
+  if (!request.ok) return null;
+  
+  const problem = target.check();
+  if (problem) {
+    error(`Can't reach ${target.label}: ${problem}`, EXIT.NO_WORDPRESS);
+    return null;
+  }
+  
+  let installed;
+  try {
+    installed = (await listInstalledPlugins(target))[request.slug];
   } catch (e) {
-    error('Failed to check versions: ' + e.message);
+    error(`Could not list plugins on ${target.label}: ${e.message}`, EXIT.NO_WORDPRESS);
+    return null;
+  }
+  if (!installed) {
+    error(`${request.displayName} is not installed on ${target.label}`, EXIT.NOT_FOUND);
+    return null;
   }
+  
+  return { target, installed, displayName: request.displayName };
+}
+
+// Network-activated plugins on multisite have to be deactivated network-wide
+function networkFlag(installed) {
+  return installed.status === 'active-network' ? ['--network'] : [];
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -480,48 +2532,35 @@ async function checkStatus() {
 // ═══════════════════════════════════════════════════════════════════════════
 
 async function showVersions(plugin) {
-  const versionsUrl = 'https://skunkglobal.com/api/plugins/versions';
-  
-  try {
-    const data = await new Promise((resolve, reject) => {
-      https.get(versionsUrl, { headers: { 'User-Agent': 'skunk-cli' } }, (res) => {
-        let body = '';
-        res.on('data', chunk => body += chunk);
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(body));
-          } catch (e) {
-            reject(new Error('Invalid response'));
-          }
-        });
-      }).on('error', reject);
-    });
-    
-    if (!data.plugins) {
-      error('Failed to fetch versions');
-      return;
-    }
+  try {
+    const plugins = await fetchLatestVersions();
     
-    // Single plugin lookup
+    // Single plugin lookup: skunkcrm, crm, skunk-crm all -> skunkcrm
     if (plugin) {
-      // Normalize: skunkcrm, crm, skunk-crm all -> skunkcrm
-      const slug = plugin.replace(/^skunk-?/, '').toLowerCase();
-      const fullSlug = `skunk${slug}`;
-      
-      const info = data.plugins[fullSlug] || data.plugins[slug];
+      const found = findProduct(plugin);
+      const info = found ? plugins[found.slug] : null;
       
-      if (info) {
+      if (info && json) {
+        setOutput({ plugin: { slug: found.slug, name: info.name, type: info.type, version: info.version } });
+      } else if (info) {
         console.log(info.version);
       } else {
-        error(`Unknown plugin: ${plugin}`);
-        console.log(`\n${colors.dim}Available: skunkcrm, skunkforms, skunkpages${colors.reset}`);
+        error(`Unknown plugin: ${plugin}`, EXIT.NOT_FOUND);
+        console.log(`\n${colors.dim}Available: ${Object.keys(getProducts()).join(', ')}${colors.reset}`);
       }
       return;
     }
     
+    if (json) {
+      setOutput({
+        plugins: Object.entries(plugins).map(([slug, info]) => ({ slug, name: info.name, type: info.type, version: info.version })),
+      });
+      return;
+    }
+    
     // All plugins
     console.log('');
-    for (const [slug, info] of Object.entries(data.plugins)) {
+    for (const [slug, info] of Object.entries(plugins)) {
       if (info.type === 'free') {
         console.log(`${info.name}: ${colors.cyan}${info.version}${colors.reset}`);
       }
@@ -529,7 +2568,7 @@ async function showVersions(plugin) {
     console.log('');
     
   } catch (e) {
-    error('Failed to fetch versions: ' + e.message);
+    error('Failed to fetch versions: ' + e.message, EXIT.NETWORK);
   }
 }
 
@@ -537,11 +2576,18 @@ async function showVersions(plugin) {
 // Update
 // ═══════════════════════════════════════════════════════════════════════════
 
-function handleUpdate() {
+async function handleUpdate(options) {
+  if (options.rollback) {
+    rollbackSkills();
+    return;
+  }
+  
+  const verify = !options['skip-verify'];
+  
   console.log('Updating Skunk CLI...\n');
   
   try {
-    execSync('npm update -g @skunkceo/cli', { stdio: 'inherit' });
+    execSync('npm update -g @skunkceo/cli', { stdio: ['inherit', textStream, 'inherit'] });
     success('Skunk CLI updated');
   } catch (e) {
     error('Failed to update CLI');
@@ -553,56 +2599,139 @@ function handleUpdate() {
   if (fs.existsSync(OPENCLAW_DIR)) {
     const skills = fs.readdirSync(OPENCLAW_DIR).filter(f => {
       const skillPath = path.join(OPENCLAW_DIR, f);
-      return fs.statSync(skillPath).isDirectory();
+      return isLinkedSkill(skillPath) || fs.statSync(skillPath).isDirectory();
     });
     
     if (skills.length > 0) {
       console.log('\nRefreshing installed skills...\n');
       
+      backupSkills();
+      
+      // Skills stay on the source and ref they were installed from
+      let locked = {};
+      try {
+        locked = readLockfile().skills;
+      } catch (e) {
+        warn(e.message);
+      }
+      
+      let failed = 0;
+      
       for (const skill of skills) {
-        const skillDir = path.join(OPENCLAW_DIR, skill);
-        fs.rmSync(skillDir, { recursive: true, force: true });
+        const entry = locked[skill];
+        
+        textStream.write(`  ${skill}... `);
         
-        // Re-install the skill
-        process.stdout.write(`  ${skill}... `);
+        if (isLinkedSkill(path.join(OPENCLAW_DIR, skill))) {
+          console.log(`${colors.dim}linked, skipped${colors.reset}`);
+          continue;
+        }
+        
+        // Each skill is staged and swapped in whole; on any failure the
+        // existing copy is left exactly as it was
         try {
-          // Fetch skill files from GitHub
-          const files = ['SKILL.md', 'config.json', 'README.md'];
-          fs.mkdirSync(skillDir, { recursive: true });
+          const match = entry
+            ? await fetchSkill(sourceFromLockEntry(entry), skill, entry.ref, { verify })
+            : await findSkill(skill, { verify });
           
-          let installed = false;
-          for (const file of files) {
-            const url = `https://raw.githubusercontent.com/${SKILLS_REPO}/${SKILLS_BRANCH}/skills/${skill}/${file}`;
-            try {
-              const content = require('child_process').execSync(
-                `curl -sf "${url}"`,
-                { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }
-              );
-              if (content) {
-                fs.writeFileSync(path.join(skillDir, file), content);
-                if (file === 'SKILL.md') installed = true;
-              }
-            } catch (e) {
-              // Optional files may not exist
-            }
-          }
+          const problems = match ? validateSkill(skill, match.files, { knownPlugins: Object.keys(getProducts()) }).errors : [];
           
-          if (installed) {
-            console.log(`${colors.green}✓${colors.reset}`);
+          if (problems.length > 0) {
+            failed++;
+            console.log(`${colors.red}failed validation${colors.reset} ${colors.dim}(${problems[0]}), kept existing copy${colors.reset}`);
+          } else if (match) {
+            const hashes = commitSkill(skill, match.files);
+            lockSkill(skill, { ...match.source.lockInfo(), ref: match.ref, commit: match.commit, files: hashes });
+            console.log(`${colors.green}✓${colors.reset}${match.verified === false ? ` ${colors.dim}(unverified)${colors.reset}` : ''}`);
           } else {
-            console.log(`${colors.yellow}not found${colors.reset}`);
-            fs.rmSync(skillDir, { recursive: true, force: true });
+            console.log(`${colors.yellow}not found upstream, kept existing copy${colors.reset}`);
           }
         } catch (e) {
-          console.log(`${colors.red}failed${colors.reset}`);
+          failed++;
+          console.log(`${colors.red}failed${colors.reset} ${colors.dim}(${e.message}), kept existing copy${colors.reset}`);
         }
       }
       
       console.log('');
+      
+      if (failed > 0) {
+        warn(`${failed} skill${failed === 1 ? '' : 's'} could not be refreshed.`);
+        fail(EXIT.PARTIAL);
+        console.log(`${colors.dim}Restore the previous set with: skunk update --rollback${colors.reset}\n`);
+      }
     }
   }
   
-  console.log('\n' + success('Update complete'));
+  success('Update complete');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Skill Backups
+// ═══════════════════════════════════════════════════════════════════════════
+
+function backupSkills() {
+  // Build the new backup beside the old one so a failure mid-copy never
+  // leaves us without a known-good set
+  const incoming = `${SKILLS_BACKUP_DIR}.tmp`;
+  fs.rmSync(incoming, { recursive: true, force: true });
+  fs.mkdirSync(incoming, { recursive: true });
+  
+  fs.cpSync(OPENCLAW_DIR, path.join(incoming, 'skills'), { recursive: true });
+  
+  const lockPath = getLockfilePath();
+  const hasLock = fs.existsSync(lockPath);
+  if (hasLock) {
+    fs.copyFileSync(lockPath, path.join(incoming, LOCKFILE_NAME));
+  }
+  
+  fs.writeFileSync(path.join(incoming, 'backup.json'), JSON.stringify({
+    createdAt: new Date().toISOString(),
+    lockfile: hasLock ? lockPath : null,
+  }, null, 2) + '\n');
+  
+  fs.rmSync(SKILLS_BACKUP_DIR, { recursive: true, force: true });
+  fs.renameSync(incoming, SKILLS_BACKUP_DIR);
+}
+
+function rollbackSkills() {
+  const metaPath = path.join(SKILLS_BACKUP_DIR, 'backup.json');
+  
+  if (!fs.existsSync(metaPath)) {
+    error('No skills backup found.', EXIT.NOT_FOUND);
+    console.log(`${colors.dim}A backup is saved to ${SKILLS_BACKUP_DIR} each time "skunk update" refreshes skills.${colors.reset}`);
+    return;
+  }
+  
+  const backup = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  
+  console.log(`Restoring skills from backup taken ${new Date(backup.createdAt).toLocaleString()}...\n`);
+  
+  // Copy the backup next to the live directory first, then swap with renames
+  const incoming = `${OPENCLAW_DIR}.restoring`;
+  const retired = `${OPENCLAW_DIR}.replaced`;
+  fs.rmSync(incoming, { recursive: true, force: true });
+  fs.rmSync(retired, { recursive: true, force: true });
+  fs.cpSync(path.join(SKILLS_BACKUP_DIR, 'skills'), incoming, { recursive: true });
+  
+  const hadSkills = fs.existsSync(OPENCLAW_DIR);
+  if (hadSkills) {
+    fs.renameSync(OPENCLAW_DIR, retired);
+  }
+  try {
+    fs.renameSync(incoming, OPENCLAW_DIR);
+  } catch (e) {
+    if (hadSkills) fs.renameSync(retired, OPENCLAW_DIR);
+    throw e;
+  }
+  fs.rmSync(retired, { recursive: true, force: true });
+  
+  if (backup.lockfile) {
+    fs.copyFileSync(path.join(SKILLS_BACKUP_DIR, LOCKFILE_NAME), backup.lockfile);
+  }
+  
+  const skills = fs.readdirSync(OPENCLAW_DIR);
+  skills.forEach(s => success(s));
+  console.log(`\n${colors.dim}Restart your AI assistant to load the restored skills.${colors.reset}`);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -614,9 +2743,36 @@ function runSetup() {
   require(setupPath);
 }
 
-function runDoctor() {
+function runDoctor(options) {
   const doctorPath = path.join(__dirname, 'doctor.js');
-  require(doctorPath);
+  return require(doctorPath).runDiagnostics(options);
+}
+
+// Print a command's help after it was called without what it needs
+function showUsage(name) {
+  console.log(formatHelp(name, COMMANDS[name]));
+  fail(EXIT.USAGE);
+}
+
+function showCommandHelp(name) {
+  const def = findCommand(name);
+  if (def) console.log(formatHelp(name, def));
+}
+
+function handleCompletion(positionals, options) {
+  if (options.complete) {
+    for (const candidate of complete(COMMANDS, positionals, COMPLETIONS)) {
+      process.stdout.write(`${candidate}\n`);
+    }
+    return;
+  }
+
+  const script = completionScript(positionals[0]);
+  if (!script) {
+    showUsage('completion');
+    return;
+  }
+  process.stdout.write(script);
 }
 
 function showHelp() {
@@ -626,24 +2782,62 @@ ${colors.bright}🦨 Skunk CLI${colors.reset} - AI-Powered WordPress Toolkit
 ${colors.bright}Usage:${colors.reset}
   skunk setup                       Interactive setup wizard
   skunk doctor                      Diagnose your setup and check health
+  skunk doctor --fix                Repair problems doctor finds (--yes to skip asking)
+  skunk install <product>           Install a product's AI skill and WordPress plugin
   skunk install skill <name>        Install an AI skill
+  skunk install skill <name>@<ref>  Install a skill at a tag, branch or commit
+  skunk install skill <path> --link Link a local skill directory for development
   skunk install plugin <name>       Install a WordPress plugin
+  skunk install --frozen            Install exactly the skills pinned in skunk.lock
   skunk remove skill <name>         Remove an installed skill
+  skunk remove plugin <name>        Uninstall a WordPress plugin (--keep-data keeps its data)
+  skunk activate plugin <name>      Activate an installed plugin
+  skunk deactivate plugin <name>    Deactivate a plugin without removing it
   skunk list                        List installed skills
   skunk available                   List available skills
+  skunk skill validate [path]       Check a skill's manifest before publishing
+  skunk source add <name> <url>     Add a skill source (GitHub repo, index URL or directory)
+  skunk source list                 List skill sources
+  skunk source remove <name>        Remove a skill source
   skunk plugins                     List available plugins
+  skunk sites                       List, add and remove saved WordPress sites
+  skunk license                     Add, list, remove and verify Pro license keys
   skunk status                      Check plugin versions (+ compare if in WP site)
+  skunk upgrade plugin <name|--all> Upgrade installed plugins to the latest release
+  skunk rollback plugin <name>      Reinstall the plugin version that was there before
   skunk versions                    Show latest versions of all plugins
   skunk version <plugin>            Show latest version of a specific plugin
   skunk update                      Update CLI and refresh skills
+  skunk update --rollback           Restore skills from before the last update
+  skunk completion <shell>          Print a bash, zsh or fish completion script
   skunk help                        Show this help
+  skunk <command> --help            Show a command's usage and options
 
 ${colors.bright}Examples:${colors.reset}
   skunk setup                       # Full guided setup
   skunk doctor                      # Check if everything is working
+  skunk install skunkforms          # Install SkunkForms skill + plugin
   skunk install skill skunkforms    # Install SkunkForms AI skill
+  skunk install skill acme:crm      # Install a skill from the "acme" source
   skunk install plugin skunkforms   # Install SkunkForms WP plugin
-  skunk install plugin skunkcrm-pro --license=XXXX
+  skunk license add skunkcrm        # Save your SkunkCRM Pro license key
+  skunk install plugin skunkcrm-pro
+  skunk status --site=client-a      # Compare versions on a saved site
+  skunk status --all-sites          # Compare versions on every saved site
+
+Plugin commands run in the current directory, or on a target:
+--site=<name>, --path=<dir>, --ssh=<user@host/path>, @<alias>, --studio=<site>,
+or on several saved sites: --sites=<a,b,group:name>, --all-sites
+
+Downloads are checked against published checksums; add --skip-verify to
+install or update without checking. Add --offline to any command to use
+only data cached in ~/.skunk/cache. HTTPS_PROXY, NO_PROXY, SKUNK_CA_BUNDLE
+and GITHUB_TOKEN are honoured for downloads.
+
+Add --json to any command for a JSON document on stdout (messages go to
+stderr), or --no-color (or NO_COLOR=1) for plain text.
+Exit codes: 0 success, 1 failure, 2 usage error, 3 not found, 4 network
+failure, 5 no WordPress tooling, 6 partial success.
 
 ${colors.bright}Skills${colors.reset} teach your AI assistant how to use Skunk products.
 ${colors.bright}Plugins${colors.reset} are the actual WordPress plugins that run on your site.
@@ -656,29 +2850,95 @@ ${colors.dim}Docs: https://skunkglobal.com/guides/openclaw-wordpress${colors.res
 // Utilities
 // ═══════════════════════════════════════════════════════════════════════════
 
-function commandExists(cmd) {
-  try {
-    execSync(`which ${cmd}`, { stdio: 'ignore' });
-    return true;
-  } catch {
-    return false;
+// Ask a yes/no question. Non-interactive runs (CI, pipes) get the default.
+async function confirm(question, defaultYes = false) {
+  if (!process.stdin.isTTY) return defaultYes;
+  
+  const rl = require('readline').createInterface({ input: process.stdin, output: textStream });
+  const hint = defaultYes ? '(Y/n)' : '(y/N)';
+  const answer = await new Promise(resolve => rl.question(`${question} ${hint} `, resolve));
+  rl.close();
+  
+  if (!answer) return defaultYes;
+  return answer.toLowerCase().startsWith('y');
+}
+
+// Read a secret without echoing it, or the first line of stdin when it's
+// piped in
+async function promptSecret(question) {
+  if (!process.stdin.isTTY) {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8').split('\n')[0].trim();
   }
+  
+  // readline echoes keystrokes to its output, so it gets one that drops them
+  const muted = new (require('stream').Writable)({ write: (chunk, encoding, done) => done() });
+  const rl = require('readline').createInterface({ input: process.stdin, output: muted, terminal: true });
+  textStream.write(question);
+  const answer = await new Promise(resolve => rl.question('', resolve));
+  rl.close();
+  textStream.write('\n');
+  return answer.trim();
 }
 
-function fetchFile(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { 'User-Agent': 'skunk-cli' } }, (res) => {
-      if (res.statusCode === 404) {
-        resolve(null);
-        return;
-      }
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
-    }).on('error', reject);
-  });
+// Run a WP-CLI command after echoing it, showing its output. License keys
+// are masked in both. Throws when the command fails.
+function runCommand(cmd) {
+  console.log(`${colors.dim}Running: ${redactSecrets(cmd)}${colors.reset}\n`);
+  
+  const result = spawnSync(cmd, { shell: true, stdio: ['inherit', 'pipe', 'pipe'], maxBuffer: 16 * 1024 * 1024 });
+  textStream.write(redactSecrets(result.stdout || ''));
+  process.stderr.write(redactSecrets(result.stderr || ''));
+  
+  if (result.error) throw result.error;
+  if (result.status !== 0) throw new Error(`Command failed with exit code ${result.status}`);
+}
+
+// Print rows under headers in aligned columns; cells may contain colors.
+// A row with fewer cells lets its last cell run across the rest.
+function printTable(headers, rows) {
+  const visible = text => String(text).replace(/\x1b\[[0-9;]*m/g, '').length;
+  const widths = headers.map((h, i) => Math.max(
+    visible(h),
+    ...rows.filter(r => r.length === headers.length || i < r.length - 1).map(r => visible(r[i] || ''))
+  ));
+  const line = cells => cells.map((c, i) => i === cells.length - 1 ? c : c + ' '.repeat(widths[i] - visible(c) + 2)).join('');
+  
+  console.log(line(headers.map(h => `${colors.bright}${h}${colors.reset}`)));
+  console.log('─'.repeat(widths.reduce((sum, w) => sum + w + 2, -2)));
+  rows.forEach(r => console.log(line(r.map(String))));
+}
+
+// "5 minutes ago", "3 hours ago", "2 days ago"
+function formatAge(ms) {
+  const units = [['day', 86400000], ['hour', 3600000], ['minute', 60000]];
+  for (const [unit, size] of units) {
+    const n = Math.floor(ms / size);
+    if (n >= 1) return `${n} ${unit}${n === 1 ? '' : 's'} ago`;
+  }
+  return 'just now';
+}
+
+// A target as JSON output shows it
+function describeTarget(target) {
+  return { id: target.id, label: target.label, site: target.site || null };
+}
+
+// Paths and tarballs install from disk rather than a skill source
+function isLocalSpec(spec) {
+  return /^(\.{1,2}|~)?\//.test(spec) || /\.(tgz|tar\.gz)$/.test(spec);
+}
+
+function formatRef(ref, commit) {
+  if (!commit) return ref;
+  if (commit.startsWith(ref)) return commit.slice(0, 7);
+  return `${ref} (${commit.slice(0, 7)})`;
+}
+
+// "@ v1.2 (abc1234)" for the built-in source, "from acme @ main (abc1234)" otherwise
+function formatOrigin(source, ref, commit) {
+  const from = source && source !== BUILTIN_SOURCE.name ? `from ${source}` : '';
+  const at = ref ? `@ ${formatRef(ref, commit)}` : '';
+  return [from, at].filter(Boolean).join(' ');
 }
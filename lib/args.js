@@ -0,0 +1,185 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Command-line arguments
+//
+// Commands declare the options they accept by name; OPTIONS describes each
+// one. parseArgs() checks a command's arguments against that list and
+// separates them, so handlers read positional arguments by index without
+// flags in between and options by name: "--license KEY", "--license=KEY"
+// both give { license: 'KEY' } and "-y" gives { yes: true }.
+// Unknown options are usage errors (code EUSAGE) with a suggestion when
+// one is close.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// value: placeholder shown in help for options that take one
+// hidden: left out of help (used by the shell completion scripts)
+const OPTIONS = {
+  'help': { alias: 'h', description: 'Show help for the command' },
+  'json': { description: 'Print a JSON document on stdout; messages go to stderr' },
+  'no-color': { description: 'Plain text without colors (also NO_COLOR=1)' },
+  'offline': { description: 'Use only data cached in ~/.skunk/cache' },
+
+  'force': { description: 'Replace a skill that is already installed' },
+  'link': { description: 'Symlink a local skill directory instead of copying it' },
+  'no-deps': { description: "Don't install the skills a skill requires" },
+  'frozen': { description: 'Install exactly the skills in skunk.lock' },
+  'skip-verify': { description: 'Install without checking published checksums' },
+  'license': { value: 'KEY', description: 'Pro license key to use instead of the saved one' },
+  'yes': { alias: 'y', description: "Don't ask for confirmation" },
+  'keep-data': { description: "Delete the plugin's files but keep its settings and data" },
+  'all': { description: 'Every Skunk plugin installed on the site' },
+  'rollback': { description: 'Restore skills from before the last update' },
+  'priority': { value: 'N', description: 'Search order of the source; lower is searched first' },
+  'key': { value: 'FILE', description: "Ed25519 public key (PEM) that must sign the source's checksums" },
+  'fix': { description: 'Repair the problems found, asking before each fix' },
+  'check': { value: 'IDS', description: 'Run only these checks (comma-separated ids)' },
+  'group': { value: 'NAMES', description: 'Comma-separated groups to add the site to' },
+
+  'site': { value: 'NAME', description: 'Run on a saved site' },
+  'path': { value: 'DIR', description: 'Run on the WordPress install in DIR' },
+  'ssh': { value: 'USER@HOST/PATH', description: 'Run on a remote site over ssh' },
+  'studio': { value: 'SITE', description: 'Run on a WordPress Studio site' },
+  'sites': { value: 'NAMES', description: 'Run on several saved sites (a,b,group:name)' },
+  'all-sites': { description: 'Run on every saved site' },
+  'concurrency': { value: 'N', description: 'Sites to work on at once (default 4)' },
+
+  'complete': { hidden: true, description: 'Print completions for the words after --' },
+};
+
+// Accepted by every command
+const GLOBAL_OPTIONS = ['help', 'json', 'no-color', 'offline'];
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 'EUSAGE';
+  return err;
+}
+
+// Check a command's arguments against the options it accepts. Returns
+// { positionals, options, help }: the arguments that aren't options, the
+// options given keyed by name (true, or the value for those that take one)
+// and whether --help was given. Throws an EUSAGE error for unknown options
+// and missing values.
+function parseArgs(command, argv, accepted) {
+  const allowed = [...GLOBAL_OPTIONS, ...accepted];
+  const positionals = [];
+  const options = {};
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // Everything after "--" is positional
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let value = null;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      if (eq !== -1) value = arg.slice(eq + 1);
+    } else {
+      name = Object.keys(OPTIONS).find(key => OPTIONS[key].alias === arg.slice(1));
+    }
+
+    if (!name || !allowed.includes(name)) {
+      const flag = name ? `--${name}` : arg;
+      const guess = closest(name || arg.slice(1), allowed);
+      throw usageError(`Unknown option ${flag} for "skunk ${command}".${guess ? ` Did you mean --${guess}?` : ''} See: skunk ${command} --help`);
+    }
+
+    const option = OPTIONS[name];
+    if (!option.value && value !== null) {
+      throw usageError(`--${name} doesn't take a value`);
+    }
+    if (option.value && value === null) {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('-')) {
+        throw usageError(`--${name} needs a value (${option.value})`);
+      }
+      value = argv[++i];
+    }
+
+    // The other global options are read where they apply (lib/output, http)
+    if (name === 'help') {
+      help = true;
+    } else if (!GLOBAL_OPTIONS.includes(name)) {
+      options[name] = option.value ? value : true;
+    }
+  }
+
+  return { positionals, options, help };
+}
+
+// Options as parseArgs() returns them, back as flags for a command to
+// suggest running
+function formatOptions(options) {
+  return Object.entries(options).map(([name, value]) => (value === true ? `--${name}` : `--${name}=${value}`));
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Suggestions
+// ─────────────────────────────────────────────────────────────────────────
+
+// Edit distance, counting a swap of neighbouring letters as one edit
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// The candidate a typo most likely meant, or null if none is close
+function closest(word, candidates) {
+  const limit = Math.max(1, Math.floor(word.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const d = distance(word.toLowerCase(), candidate);
+    if (d <= limit && d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Help
+// ─────────────────────────────────────────────────────────────────────────
+
+// A command's usage text followed by the options it accepts
+function formatHelp(command, def) {
+  const text = def.help || `\nUsage:\n  skunk ${def.usage || command}\n\n${def.summary}.\n`;
+  const rows = (def.options || []).filter(name => !OPTIONS[name].hidden).map(name => {
+    const option = OPTIONS[name];
+    const flag = `${option.alias ? `-${option.alias}, ` : ''}--${name}${option.value ? `=${option.value}` : ''}`;
+    return [flag, option.description];
+  });
+  const globals = GLOBAL_OPTIONS.map(name => `--${name}`).join(', ');
+
+  if (rows.length === 0) {
+    return `${text}\nGlobal options: ${globals}\n`;
+  }
+
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+  const lines = rows.map(([flag, description]) => `  ${flag.padEnd(width)}${description}`);
+  return `${text}\nOptions:\n${lines.join('\n')}\n\nGlobal options: ${globals}\n`;
+}
+
+module.exports = { OPTIONS, GLOBAL_OPTIONS, parseArgs, formatOptions, closest, formatHelp };
@@ -0,0 +1,433 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync, execFileSync } = require('child_process');
+const { fetchStatus } = require('./http');
+const { sourceFromLockEntry, fetchSkill, findSkill } = require('./sources');
+const { OPENCLAW_DIR, commitSkill } = require('./skills');
+const { LOCKFILE_NAME, readLockfile, lockSkill, hashContent } = require('./lockfile');
+const { CLI_VERSION, validateSkill, getRequirements } = require('./manifest');
+const semver = require('./semver');
+const { textStream } = require('./output');
+const { commandExists } = require('./targets');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Doctor checks
+//
+// A registry of named checks run by `skunk doctor`. A check's run() resolves
+// with a list of results:
+//
+//   { status, message, remediation, fix }
+//
+// status is "ok", "info", "warning" or "error"; remediation tells the user
+// what to do about a problem, and fix, when set, is { description, apply }
+// for `skunk doctor --fix`, where apply() may resolve with a message saying
+// what changed. Checks never print; bin/doctor.js reports their results.
+//
+// Besides the built-in checks, every installed skill whose config.json has
+// "requires" gets a "skill:<name>" check that its Skunk CLI version range,
+// commands on PATH (with version ranges) and required skills are met.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Unparseable skill configs are moved here by --fix
+const QUARANTINE_DIR = path.join(process.env.HOME, '.skunk', 'quarantine');
+
+const checks = [];
+
+function registerCheck(check) {
+  if (checks.some(c => c.id === check.id)) {
+    throw new Error(`Check "${check.id}" is already registered`);
+  }
+  checks.push(check);
+}
+
+// Registered checks followed by those declared by installed skills
+function listChecks() {
+  return [...checks, ...skillChecks()];
+}
+
+// Results of one check, each tagged with the check's id. A check that
+// throws reports that as an error.
+async function runCheck(check) {
+  let results;
+  try {
+    results = await check.run();
+  } catch (e) {
+    results = [{ status: 'error', message: `Check failed: ${e.message}` }];
+  }
+  return results.map(result => ({ id: check.id, ...result }));
+}
+
+const ok = (message, extra) => ({ status: 'ok', message, ...extra });
+const info = (message, extra) => ({ status: 'info', message, ...extra });
+const warning = (message, extra) => ({ status: 'warning', message, ...extra });
+const error = (message, extra) => ({ status: 'error', message, ...extra });
+
+// ─────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────
+
+// First line of `<cmd> --version`, or null when it fails
+function commandVersion(cmd, args = ['--version']) {
+  try {
+    return execFileSync(cmd, args, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim().split('\n')[0];
+  } catch {
+    return null;
+  }
+}
+
+function isSymlink(p) {
+  try {
+    return fs.lstatSync(p).isSymbolicLink();
+  } catch {
+    return false;
+  }
+}
+
+function installedSkillNames() {
+  if (!fs.existsSync(OPENCLAW_DIR)) return [];
+  return fs.readdirSync(OPENCLAW_DIR).filter(f => {
+    const skillPath = path.join(OPENCLAW_DIR, f);
+    return isSymlink(skillPath) || fs.statSync(skillPath).isDirectory();
+  });
+}
+
+// The files of an installed skill that are missing or no longer match the
+// hashes recorded in the lockfile when it was installed
+function changedSkillFiles(name, entry) {
+  if (!entry || !entry.files) return [];
+  return Object.entries(entry.files).filter(([file, hash]) => {
+    try {
+      return hashContent(fs.readFileSync(path.join(OPENCLAW_DIR, name, file))) !== hash;
+    } catch {
+      return true;
+    }
+  }).map(([file]) => file);
+}
+
+// A skill's parsed config.json, or null if it has none or it doesn't parse
+function readSkillConfig(name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(OPENCLAW_DIR, name, 'config.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function testUrl(url) {
+  const status = await fetchStatus(url, { timeout: 10000, retries: 0 });
+  if (status < 200 || status >= 400) {
+    throw new Error(`HTTP ${status}`);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Fixes
+// ─────────────────────────────────────────────────────────────────────────
+
+// Fetch a skill again from the source and ref it was installed from (or the
+// first source that has it) and replace the local copy
+async function refetchSkill(name) {
+  let entry;
+  try {
+    entry = readLockfile().skills[name];
+  } catch (e) {
+    // An unreadable lockfile leaves the configured sources
+  }
+
+  const match = entry
+    ? await fetchSkill(sourceFromLockEntry(entry), name, entry.ref)
+    : await findSkill(name);
+  if (!match) {
+    throw new Error('not found in any skill source');
+  }
+  const problems = validateSkill(name, match.files).errors;
+  if (problems.length > 0) {
+    throw new Error(`the fetched copy is invalid too (${problems[0]})`);
+  }
+
+  const hashes = commitSkill(name, match.files);
+  lockSkill(name, { ...match.source.lockInfo(), ref: match.ref, commit: match.commit, files: hashes });
+  return `Re-fetched ${name} from ${match.source.name}`;
+}
+
+// Move a config.json that doesn't parse out of the skill, keeping a copy
+function quarantineConfig(name) {
+  const configPath = path.join(OPENCLAW_DIR, name, 'config.json');
+  const dest = path.join(QUARANTINE_DIR, name, `config-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.copyFileSync(configPath, dest);
+  fs.rmSync(configPath);
+  return `Moved ${name}'s invalid config.json to ${dest}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Built-in checks
+// ─────────────────────────────────────────────────────────────────────────
+
+registerCheck({
+  id: 'clawdbot',
+  title: 'OpenClaw/Clawdbot',
+  run() {
+    if (!commandExists('clawdbot')) {
+      return [error('Clawdbot not found in PATH', {
+        remediation: 'Install from: https://skunkglobal.com/guides/openclaw-wordpress',
+      })];
+    }
+
+    const version = commandVersion('clawdbot', ['version']);
+    if (!version) {
+      return [warning('Clawdbot found but version check failed')];
+    }
+
+    const results = [ok(`Clawdbot installed: ${version}`)];
+    try {
+      const status = execSync('clawdbot gateway status', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] });
+      if (status.includes('running') || status.includes('active')) {
+        results.push(ok('Gateway is running'));
+      } else {
+        results.push(warning('Gateway is not running', {
+          remediation: 'Start with: clawdbot gateway start',
+          fix: {
+            description: 'Start the Clawdbot gateway',
+            apply: () => {
+              execSync('clawdbot gateway start', { stdio: ['ignore', textStream, textStream] });
+              return 'Started the Clawdbot gateway';
+            },
+          },
+        }));
+      }
+    } catch (e) {
+      results.push(warning('Could not check gateway status', { remediation: 'Try: clawdbot gateway status' }));
+    }
+    return results;
+  },
+});
+
+registerCheck({
+  id: 'wp-cli',
+  title: 'WordPress tools',
+  run() {
+    const results = [];
+
+    const hasWpCli = commandExists('wp');
+    if (hasWpCli) {
+      const version = commandVersion('wp');
+      results.push(version
+        ? ok(`WP-CLI installed: ${version.replace('WP-CLI ', '')}`)
+        : warning('WP-CLI found but version check failed'));
+    } else {
+      results.push(warning('WP-CLI not found', { remediation: 'Install from: https://wp-cli.org/' }));
+    }
+
+    const hasStudio = commandExists('studio');
+    if (hasStudio) {
+      const version = commandVersion('studio');
+      results.push(version
+        ? ok(`WordPress Studio installed: ${version}`)
+        : warning('WordPress Studio found but version check failed'));
+    } else {
+      results.push(info('WordPress Studio not found (optional)', {
+        remediation: 'Install from: https://developer.wordpress.org/studio/',
+      }));
+    }
+
+    if (!hasWpCli && !hasStudio) {
+      results.push(error('No WordPress CLI tools found', {
+        remediation: 'At least one is required for plugin installation',
+      }));
+    }
+    return results;
+  },
+});
+
+registerCheck({
+  id: 'skills',
+  title: 'installed skills',
+  run() {
+    if (!fs.existsSync(OPENCLAW_DIR)) {
+      return [warning(`Skills directory does not exist: ${OPENCLAW_DIR}`, {
+        remediation: 'This will be created when you install your first skill',
+        fix: {
+          description: `Create ${OPENCLAW_DIR}`,
+          apply: () => {
+            fs.mkdirSync(OPENCLAW_DIR, { recursive: true });
+            return `Created ${OPENCLAW_DIR}`;
+          },
+        },
+      })];
+    }
+
+    const skills = installedSkillNames();
+    if (skills.length === 0) {
+      return [warning(`No skills found in ${OPENCLAW_DIR}`, {
+        remediation: 'Install skills with: skunk install skill <name>',
+      })];
+    }
+
+    let locked = {};
+    try {
+      locked = readLockfile().skills;
+    } catch (e) {
+      // Without a readable lockfile there's nothing to compare files against
+    }
+
+    return [
+      ok(`Found ${skills.length} skill${skills.length === 1 ? '' : 's'}`),
+      ...skills.map(skill => checkSkillFiles(skill, locked[skill])),
+    ];
+  },
+});
+
+// One result per installed skill, comparing its files with its lockfile
+// entry when it has one. Linked skills are the developer's own files, so
+// no fixes are offered for them.
+function checkSkillFiles(skill, entry) {
+  const skillDir = path.join(OPENCLAW_DIR, skill);
+  const linked = isSymlink(skillDir);
+
+  // Linked skills come from a local checkout (skunk install skill <path> --link)
+  if (linked && !fs.existsSync(skillDir)) {
+    return warning(`${skill} (broken link → ${fs.readlinkSync(skillDir)})`, {
+      remediation: `Relink with: skunk install skill <path> --link --force, or: skunk remove skill ${skill}`,
+    });
+  }
+
+  const notes = [];
+  let problem = null;
+  const refetch = remediation => ({
+    remediation,
+    fix: { description: `Re-fetch skill ${skill}`, apply: () => refetchSkill(skill) },
+  });
+
+  if (fs.existsSync(path.join(skillDir, 'SKILL.md'))) {
+    notes.push('SKILL.md');
+  } else {
+    notes.push('missing SKILL.md');
+    problem = refetch(`Reinstall with: skunk install skill ${skill} --force`);
+  }
+
+  // Linked skills are never locked, so this only covers copied ones
+  const changed = changedSkillFiles(skill, entry);
+  if (changed.length > 0) {
+    notes.push(`${changed.length} file${changed.length === 1 ? '' : 's'} missing or modified`);
+    problem = problem || refetch(`${changed.join(', ')} differ${changed.length === 1 ? 's' : ''} from ${LOCKFILE_NAME}. Reinstall with: skunk install skill ${skill} --force`);
+  }
+
+  // A re-fetch replaces config.json too, so it takes precedence
+  const configPath = path.join(skillDir, 'config.json');
+  if (!fs.existsSync(configPath)) {
+    notes.push('no config.json');
+  } else {
+    try {
+      JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      notes.push('config.json');
+    } catch (e) {
+      notes.push('invalid config.json');
+      problem = problem || {
+        remediation: `config.json is not valid JSON: ${e.message}`,
+        fix: { description: `Move ${skill}'s invalid config.json to ${QUARANTINE_DIR}`, apply: () => quarantineConfig(skill) },
+      };
+    }
+  }
+
+  if (linked) {
+    notes.push(`local/dev linked → ${fs.readlinkSync(skillDir)}`);
+  }
+
+  const message = `${skill} (${notes.join(', ')})`;
+  if (!problem) return ok(message);
+  return warning(message, linked ? { remediation: problem.remediation } : problem);
+}
+
+registerCheck({
+  id: 'connectivity',
+  title: 'connectivity',
+  async run() {
+    const endpoints = [
+      ['https://skunkglobal.com/api/plugins/versions', 'skunkglobal.com API'],
+      ['https://api.github.com/repos/skunkceo/openclaw-skills/contents/skills', 'GitHub skills repository'],
+    ];
+
+    const results = [];
+    for (const [url, name] of endpoints) {
+      try {
+        await testUrl(url);
+        results.push(ok(`${name} is reachable`));
+      } catch (e) {
+        results.push(error(`Cannot reach ${name}`, { remediation: `Error: ${e.message}` }));
+      }
+    }
+    return results;
+  },
+});
+
+// ─────────────────────────────────────────────────────────────────────────
+// Skill requirements
+// ─────────────────────────────────────────────────────────────────────────
+
+function skillChecks() {
+  return installedSkillNames().flatMap(name => {
+    const config = readSkillConfig(name);
+    if (!config || !config.requires) return [];
+    return [{
+      id: `skill:${name}`,
+      title: `requirements of ${name}`,
+      run: () => checkRequirements(name, getRequirements(config)),
+    }];
+  });
+}
+
+function checkRequirements(name, requires) {
+  const results = [];
+
+  if (requires.skunk && semver.validRange(requires.skunk)) {
+    results.push(semver.satisfies(CLI_VERSION, requires.skunk)
+      ? ok(`Skunk CLI ${CLI_VERSION} satisfies ${requires.skunk}`)
+      : error(`${name} needs Skunk CLI ${requires.skunk} (this is ${CLI_VERSION})`, { remediation: 'Run: skunk update' }));
+  }
+
+  for (const [tool, range] of Object.entries(requires.cli)) {
+    results.push(checkTool(name, tool, range));
+  }
+
+  for (const [skill, range] of Object.entries(requires.skills)) {
+    const config = readSkillConfig(skill);
+    if (!fs.existsSync(path.join(OPENCLAW_DIR, skill))) {
+      results.push(error(`${name} needs skill ${skill}, which is not installed`, {
+        remediation: `Install with: skunk install skill ${skill}`,
+      }));
+    } else if (range === '*' || !semver.validRange(range)) {
+      results.push(ok(`Skill ${skill} is installed`));
+    } else if (config && typeof config.version === 'string' && semver.satisfies(config.version, range)) {
+      results.push(ok(`Skill ${skill} ${config.version} satisfies ${range}`));
+    } else {
+      const found = config && config.version ? config.version : 'unknown version';
+      results.push(error(`${name} needs skill ${skill} ${range} (found ${found})`, {
+        remediation: `Update with: skunk install skill ${skill} --force`,
+      }));
+    }
+  }
+
+  return results;
+}
+
+function checkTool(name, tool, range) {
+  if (!commandExists(tool)) {
+    return error(`${name} needs "${tool}", which was not found in PATH`);
+  }
+  if (range === '*' || !semver.validRange(range)) {
+    return ok(`${tool} is installed`);
+  }
+
+  // Take the first version-looking part of `<tool> --version`
+  const line = commandVersion(tool);
+  const found = line && line.match(/\d+\.\d+(?:\.\d+)?/);
+  if (!found) {
+    return warning(`Could not tell which version of ${tool} is installed; ${name} needs ${range}`);
+  }
+  return semver.satisfies(found[0], range)
+    ? ok(`${tool} ${found[0]} satisfies ${range}`)
+    : error(`${name} needs ${tool} ${range}, but ${found[0]} is installed`);
+}
+
+module.exports = { QUARANTINE_DIR, registerCheck, listChecks, runCheck };
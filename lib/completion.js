@@ -0,0 +1,112 @@
+const { OPTIONS, GLOBAL_OPTIONS } = require('./args');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Shell completion
+//
+// The scripts for bash, zsh and fish all ask the CLI itself for candidates:
+// "skunk completion --complete -- <words>" prints one per line for the last
+// word. Commands declare what their arguments complete to (see COMMANDS in
+// bin/skunk.js); the lists come from local files only, never the network.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SHELLS = ['bash', 'zsh', 'fish'];
+
+const SCRIPTS = {
+  bash: `# skunk completion for bash. Add to ~/.bashrc:
+#   source <(skunk completion bash)
+_skunk() {
+  local IFS=$'\\n'
+  COMPREPLY=($(skunk completion --complete -- "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null))
+}
+complete -o default -F _skunk skunk
+`,
+
+  zsh: `#compdef skunk
+# skunk completion for zsh. Add to ~/.zshrc, after compinit:
+#   source <(skunk completion zsh)
+_skunk() {
+  local -a candidates
+  candidates=(\${(f)"$(skunk completion --complete -- "\${(@)words[2,CURRENT]}" 2>/dev/null)"})
+  if (( \${#candidates} )); then
+    compadd -a candidates
+  else
+    _files
+  fi
+}
+compdef _skunk skunk
+`,
+
+  fish: `# skunk completion for fish. Save as ~/.config/fish/completions/skunk.fish:
+#   skunk completion fish > ~/.config/fish/completions/skunk.fish
+function __skunk_complete
+    set -l words (commandline -opc) (commandline -ct)
+    skunk completion --complete -- $words[2..-1] 2>/dev/null
+end
+complete -c skunk -f -a '(__skunk_complete)'
+`,
+};
+
+function completionScript(shell) {
+  return SCRIPTS[shell] || null;
+}
+
+// Options whose values complete to a kind of name
+const OPTION_KINDS = { site: 'sites', sites: 'sites', check: 'checks' };
+
+// Candidates for the last of `words`, the words typed after "skunk".
+// `kinds` maps a kind of argument ("skills", "plugins", ...) to a function
+// listing its names.
+function complete(commands, words, kinds) {
+  const current = words.length > 0 ? words[words.length - 1] : '';
+  const before = words.slice(0, -1);
+  const matching = names => [...new Set(names)].filter(name => name.startsWith(current));
+  const list = kind => {
+    if (!kind || !kinds[kind]) return [];
+    try {
+      return kinds[kind]();
+    } catch (e) {
+      return [];
+    }
+  };
+
+  if (before.length === 0) {
+    return matching(Object.keys(commands));
+  }
+
+  const def = commands[before[0]];
+  if (!def) return [];
+
+  // The value of "--site <name>" and the like
+  const last = before[before.length - 1];
+  const lastOption = last.startsWith('--') && !last.includes('=') ? OPTIONS[last.slice(2)] : null;
+  if (lastOption && lastOption.value) {
+    return matching(list(OPTION_KINDS[last.slice(2)]));
+  }
+
+  if (current.startsWith('-')) {
+    const names = [...(def.options || []), ...GLOBAL_OPTIONS].filter(name => !OPTIONS[name].hidden);
+    return matching(names.map(name => `--${name}`));
+  }
+
+  // Positional arguments typed so far, skipping options and their values
+  const positional = [];
+  for (let i = 1; i < before.length; i++) {
+    const word = before[i];
+    if (word.startsWith('-')) {
+      const option = OPTIONS[word.replace(/^-+/, '').split('=')[0]];
+      if (option && option.value && !word.includes('=')) i++;
+    } else {
+      positional.push(word);
+    }
+  }
+
+  if (def.subcommands) {
+    if (positional.length === 0) {
+      return matching([...Object.keys(def.subcommands), ...list(def.complete)]);
+    }
+    return positional.length === 1 ? matching(list(def.subcommands[positional[0]])) : [];
+  }
+  return positional.length === 0 ? matching(list(def.complete)) : [];
+}
+
+module.exports = { SHELLS, completionScript, complete };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { OPENCLAW_DIR, SKILL_NAME_RE } = require('./skills');
+const { findSkill } = require('./sources');
+const { getRequirements, readManifest } = require('./manifest');
+const semver = require('./semver');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Skill dependencies
+//
+// Skills declare the skills they need in config.json under
+// "requires.skills", either as a list of names or as name: version range.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The manifest of an installed skill: undefined when the skill isn't
+// installed, null when it is but has no usable config.json
+function readInstalledManifest(name) {
+  // Anything that isn't a valid skill name can't be installed
+  if (!SKILL_NAME_RE.test(name)) return undefined;
+  const skillDir = path.join(OPENCLAW_DIR, name);
+  if (!fs.existsSync(path.join(skillDir, 'SKILL.md'))) return undefined;
+
+  const configPath = path.join(skillDir, 'config.json');
+  if (!fs.existsSync(configPath)) return null;
+  return readManifest({ 'config.json': fs.readFileSync(configPath) });
+}
+
+function versionSatisfies(version, range) {
+  if (range === '*' || range === '') return true;
+  return Boolean(version) && semver.satisfies(version, range);
+}
+
+// Work out which skills must be installed (or upgraded) for rootName to
+// have everything it requires. Resolves with them in install order,
+// dependencies first; rejects on cycles, missing skills and version
+// conflicts before anything is written. Pass { verify: false } to skip
+// checksum verification.
+async function resolveDependencies(rootName, rootFiles, options = {}) {
+  const planned = new Map();
+  const order = [];
+
+  async function visit(name, files, stack) {
+    const { skills } = getRequirements(readManifest(files));
+
+    for (const [dep, range] of Object.entries(skills)) {
+      if (stack.includes(dep)) {
+        throw new Error(`Dependency cycle: ${[...stack, dep].join(' → ')}`);
+      }
+
+      const wanted = range === '*' ? dep : `${dep} ${range}`;
+
+      if (planned.has(dep)) {
+        const { version, requiredBy } = planned.get(dep);
+        if (!versionSatisfies(version, range)) {
+          throw new Error(`${name} requires ${wanted}, but ${requiredBy} needs ${dep} ${version || '(unversioned)'}`);
+        }
+        continue;
+      }
+
+      const installed = readInstalledManifest(dep);
+      if (installed !== undefined && versionSatisfies(installed && installed.version, range)) {
+        continue;
+      }
+
+      const match = await findSkill(dep, { verify: options.verify });
+      if (!match) {
+        throw new Error(`${name} requires skill "${dep}", which was not found in any source`);
+      }
+
+      const manifest = readManifest(match.files);
+      const version = manifest && manifest.version;
+      if (!versionSatisfies(version, range)) {
+        throw new Error(`${name} requires ${wanted}, but the latest available is ${version || 'unversioned'}. Install a matching version first with: skunk install skill ${dep}@<ref> --force`);
+      }
+
+      planned.set(dep, { version, requiredBy: name });
+      await visit(dep, match.files, [...stack, dep]);
+      order.push({ name: dep, match, version, requiredBy: name, upgrade: installed !== undefined });
+    }
+  }
+
+  await visit(rootName, rootFiles, [rootName]);
+  return order;
+}
+
+// Installed skills whose manifests require the given skill
+function findDependents(name) {
+  if (!fs.existsSync(OPENCLAW_DIR)) return [];
+
+  return fs.readdirSync(OPENCLAW_DIR).filter(skill => {
+    if (skill === name) return false;
+    const manifest = readInstalledManifest(skill);
+    return Boolean(manifest) && name in getRequirements(manifest).skills;
+  });
+}
+
+module.exports = { resolveDependencies, findDependents, readInstalledManifest };
@@ -0,0 +1,414 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HTTP client
+//
+// Every request the CLI makes goes through here. Requests follow HTTPS
+// redirects, time out, and retry with exponential backoff when the network
+// or server has a transient problem. The environment configures them:
+//
+//   HTTPS_PROXY / NO_PROXY   tunnel through an HTTP(S) proxy, except for
+//                            the listed hosts
+//   SKUNK_CA_BUNDLE          PEM file of extra certificate authorities
+//   GITHUB_TOKEN             sent to the GitHub API (not to other hosts)
+//                            for its higher rate limit
+//   SKUNK_TIMEOUT            seconds before giving up on a request (30)
+//   SKUNK_RETRIES            retries after a transient failure (2)
+//
+// GET responses are cached in ~/.skunk/cache and revalidated with their
+// ETag / Last-Modified, so unchanged data costs a 304. A cached response
+// younger than the caller's ttl is used without asking the server at all.
+// When the network is down, or in offline mode, cached responses are
+// served whatever their age and the onCached hook is told how old they are.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MAX_REDIRECTS = 5;
+
+const USER_AGENT = 'skunk-cli';
+
+const GITHUB_HOSTS = ['api.github.com', 'raw.githubusercontent.com', 'codeload.github.com'];
+
+// Failures worth trying again, and how long to wait before the first retry
+const RETRY_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const RETRY_DELAY_MS = 500;
+
+const CACHE_DIR = path.join(process.env.HOME, '.skunk', 'cache');
+
+// Errors that mean the server couldn't be reached, rather than refused us
+const NETWORK_ERRORS = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const settings = {
+  offline: false,
+  onCached: null,
+  timeout: envNumber('SKUNK_TIMEOUT', 30) * 1000,
+  retries: envNumber('SKUNK_RETRIES', 2),
+};
+
+// { offline, onCached({ url, fetchedAt, reason }), timeout (ms), retries }
+function configureHttp(options) {
+  Object.assign(settings, options);
+}
+
+// Keep license keys out of anything written to disk or passed to onCached
+function redactUrl(url) {
+  return String(url).replace(/(license_key=)[^&]+/g, '$1****');
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Cache
+// ─────────────────────────────────────────────────────────────────────────
+
+function cachePaths(url) {
+  const key = crypto.createHash('sha256').update(url).digest('hex');
+  return { meta: path.join(CACHE_DIR, `${key}.json`), body: path.join(CACHE_DIR, `${key}.body`) };
+}
+
+// { status, etag, lastModified, fetchedAt, body } or null. Cached 404s
+// have a null body.
+function readCache(url) {
+  const files = cachePaths(url);
+  try {
+    const meta = JSON.parse(fs.readFileSync(files.meta, 'utf8'));
+    const body = meta.status === 404 ? null : fs.readFileSync(files.body);
+    return { ...meta, body };
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCache(url, status, headers, body) {
+  const files = cachePaths(url);
+  const meta = {
+    url: redactUrl(url),
+    status,
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    fetchedAt: new Date().toISOString(),
+  };
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    if (body !== null) fs.writeFileSync(files.body, body);
+    fs.writeFileSync(files.meta, JSON.stringify(meta, null, 2) + '\n');
+  } catch (e) {
+    // A cache that can't be written just means fetching again next time
+  }
+}
+
+// Mark a cached response as confirmed current (after a 304)
+function touchCache(url, cached) {
+  const { body, ...meta } = cached;
+  try {
+    fs.writeFileSync(cachePaths(url).meta, JSON.stringify({ ...meta, fetchedAt: new Date().toISOString() }, null, 2) + '\n');
+  } catch (e) {
+    // Revalidated again next time
+  }
+}
+
+function serveCached(url, cached, reason) {
+  if (settings.onCached) {
+    settings.onCached({ url: redactUrl(url), fetchedAt: new Date(cached.fetchedAt), reason });
+  }
+  return cached.body;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Connections: proxies, certificate authorities and credentials
+// ─────────────────────────────────────────────────────────────────────────
+
+let extraCa;
+
+// Node's built-in roots plus SKUNK_CA_BUNDLE, or undefined for the defaults
+function certificateAuthorities() {
+  if (extraCa === undefined) {
+    const file = process.env.SKUNK_CA_BUNDLE;
+    if (!file) {
+      extraCa = null;
+    } else {
+      try {
+        extraCa = [...tls.rootCertificates, fs.readFileSync(file, 'utf8')];
+      } catch (e) {
+        throw new Error(`Could not read SKUNK_CA_BUNDLE ${file}: ${e.message}`);
+      }
+    }
+  }
+  return extraCa || undefined;
+}
+
+// NO_PROXY lists hosts ("example.com" also covers its subdomains) or "*"
+function bypassesProxy(hostname) {
+  const list = (process.env.NO_PROXY || process.env.no_proxy || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+  return list.some(entry => {
+    if (entry === '*') return true;
+    const host = entry.replace(/^\*?\./, '').replace(/:\d+$/, '');
+    return hostname === host || hostname.endsWith(`.${host}`);
+  });
+}
+
+// Tunnels HTTPS requests through a proxy with CONNECT
+class ProxyAgent extends https.Agent {
+  constructor(proxy) {
+    super({ keepAlive: false });
+    this.proxy = proxy;
+  }
+
+  createConnection(options, callback) {
+    const proxy = this.proxy;
+    const headers = { Host: `${options.host}:${options.port || 443}` };
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const req = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: `${options.host}:${options.port || 443}`,
+      headers,
+      ca: certificateAuthorities(),
+    });
+
+    req.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        callback(networkError(`Proxy ${proxy.host} refused the connection (HTTP ${res.statusCode})`, 'EPROXY'));
+        return;
+      }
+      callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+    });
+    req.on('error', e => callback(networkError(`Could not connect to proxy ${proxy.host}: ${e.message}`, 'EPROXY')));
+    req.end();
+  }
+}
+
+const proxyAgents = new Map();
+
+function agentFor(url) {
+  const proxyUrl = process.env.HTTPS_PROXY || process.env.https_proxy;
+  if (!proxyUrl || bypassesProxy(url.hostname)) return undefined;
+
+  if (!proxyAgents.has(proxyUrl)) {
+    let proxy;
+    try {
+      proxy = new URL(proxyUrl.includes('://') ? proxyUrl : `http://${proxyUrl}`);
+    } catch (e) {
+      throw new Error(`Invalid HTTPS_PROXY: ${proxyUrl}`);
+    }
+    proxyAgents.set(proxyUrl, new ProxyAgent(proxy));
+  }
+  return proxyAgents.get(proxyUrl);
+}
+
+// GITHUB_TOKEN goes only to GitHub, so redirects elsewhere never carry it
+function authHeaders(url) {
+  const token = process.env.GITHUB_TOKEN;
+  return token && GITHUB_HOSTS.includes(url.hostname) ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Requests
+// ─────────────────────────────────────────────────────────────────────────
+
+// One GET, resolving with { status, headers, body }. The body is read only
+// for a 200, and not at all with discardBody. Redirects are followed (plugin
+// downloads are served from a CDN) unless follow is false.
+function request(url, options = {}) {
+  const { maxBytes, headers = {}, redirects = 0, follow = true, discardBody = false } = options;
+  const timeout = options.timeout || settings.timeout;
+
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (target.protocol !== 'https:') {
+      reject(new Error(`Refusing to fetch ${target.protocol} URL ${redactUrl(url)}`));
+      return;
+    }
+
+    let req;
+    try {
+      req = https.get(target, {
+        headers: { 'User-Agent': USER_AGENT, ...authHeaders(target), ...headers },
+        agent: agentFor(target),
+        ca: certificateAuthorities(),
+      }, (res) => {
+        if (follow && [301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+          res.resume();
+          const next = new URL(res.headers.location, url);
+          if (next.protocol !== 'https:') {
+            reject(new Error(`Refusing to follow redirect to ${next.protocol} URL`));
+          } else if (redirects >= MAX_REDIRECTS) {
+            reject(new Error(`Too many redirects fetching ${redactUrl(url)}`));
+          } else {
+            resolve(request(next.href, { ...options, redirects: redirects + 1 }));
+          }
+          return;
+        }
+        if (res.statusCode !== 200 || discardBody) {
+          res.destroy();
+          resolve({ status: res.statusCode, headers: res.headers, body: null });
+          return;
+        }
+
+        const tooLarge = () => new Error(`${redactUrl(url)} is larger than ${formatBytes(maxBytes)}`);
+
+        if (maxBytes && Number(res.headers['content-length']) > maxBytes) {
+          res.destroy();
+          reject(tooLarge());
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        res.on('data', chunk => {
+          size += chunk.length;
+          if (maxBytes && size > maxBytes) {
+            res.destroy();
+            reject(tooLarge());
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on('end', () => resolve({ status: 200, headers: res.headers, body: Buffer.concat(chunks) }));
+        res.on('error', reject);
+      });
+    } catch (e) {
+      reject(e);
+      return;
+    }
+
+    req.setTimeout(timeout, () => {
+      const err = new Error(`Timed out after ${Math.round(timeout / 1000)}s waiting for ${target.hostname}`);
+      err.code = 'ETIMEDOUT';
+      req.destroy(err);
+    });
+    req.on('error', reject);
+  });
+}
+
+// request(), tried again after transient failures: 1s, 2s, 4s... apart, or
+// as long as a 429/503's Retry-After asks (up to 30s)
+async function requestWithRetries(url, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : settings.retries;
+
+  for (let attempt = 0; ; attempt++) {
+    let delay = RETRY_DELAY_MS * 2 ** attempt;
+    try {
+      const res = await request(url, options);
+      if (attempt >= retries || !RETRY_STATUSES.includes(res.status)) return res;
+      const retryAfter = Number(res.headers['retry-after']);
+      if (retryAfter > 0) delay = Math.min(retryAfter, 30) * 1000;
+    } catch (e) {
+      if (attempt >= retries || !RETRY_ERRORS.includes(e.code)) throw e;
+    }
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+// Resolves with the response body as a Buffer, or null on 404. Options:
+//   maxBytes  abort downloads that grow past a size limit
+//   ttl       use a cached copy younger than this (ms) without revalidating
+//   cache     false to bypass the cache entirely
+//   timeout   ms before giving up, instead of the configured timeout
+//   retries   retries after transient failures, instead of the configured number
+function fetchBuffer(url, options = {}) {
+  const { maxBytes, ttl = 0, cache = true, timeout, retries } = options;
+  const cached = cache ? readCache(url) : null;
+
+  if (cached && settings.offline) {
+    return Promise.resolve(serveCached(url, cached, 'offline'));
+  }
+  if (settings.offline) {
+    return Promise.reject(networkError(`${redactUrl(url)} isn't cached, so it can't be used offline`, 'EOFFLINE'));
+  }
+  if (cached && Date.now() - Date.parse(cached.fetchedAt) < ttl) {
+    return Promise.resolve(cached.body);
+  }
+
+  const headers = {};
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  return requestWithRetries(url, { maxBytes, headers, timeout, retries }).then(res => {
+    if (res.status === 304 && cached) {
+      touchCache(url, cached);
+      return cached.body;
+    }
+    if (res.status >= 500 && cached) {
+      return serveCached(url, cached, `HTTP ${res.status}`);
+    }
+    if (res.status === 404) {
+      if (cache) writeCache(url, 404, res.headers, null);
+      return null;
+    }
+    if (res.status !== 200) {
+      const err = new Error(`HTTP ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    if (cache) writeCache(url, 200, res.headers, res.body);
+    return res.body;
+  }, e => {
+    if (cached && NETWORK_ERRORS.includes(e.code)) {
+      return serveCached(url, cached, e.code);
+    }
+    throw e;
+  });
+}
+
+// Resolves with a URL's HTTP status without reading the body or following
+// redirects, for checks that only need to know whether a request is allowed
+async function fetchStatus(url, options = {}) {
+  if (settings.offline) {
+    throw new Error('this check needs the network');
+  }
+  const res = await requestWithRetries(url, { ...options, follow: false, discardBody: true });
+  return res.status;
+}
+
+// Resolves with the response body as text, or null on 404
+async function fetchFile(url, options = {}) {
+  const body = await fetchBuffer(url, options);
+  return body === null ? null : body.toString('utf8');
+}
+
+async function fetchJson(url, options = {}) {
+  const body = await fetchFile(url, options);
+  if (body === null) return null;
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    throw new Error('Invalid response');
+  }
+}
+
+function networkError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Whether a request failed because of the network, a proxy or the server,
+// as opposed to a problem with what was downloaded
+function isNetworkError(e) {
+  if (e.status) return true;
+  return [...NETWORK_ERRORS, ...RETRY_ERRORS, 'EPROXY', 'EOFFLINE'].includes(e.code) ||
+    /CERT|TLS|SSL/.test(e.code || '');
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+}
+
+module.exports = { CACHE_DIR, configureHttp, fetchBuffer, fetchStatus, fetchFile, fetchJson, isNetworkError, formatBytes };
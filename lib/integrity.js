@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashContent } = require('./lockfile');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Download integrity
+//
+// Skill sources and the plugins versions API publish SHA-256 checksums
+// ("sha256-<hex>", the same format as skunk.lock). Checksums may also be
+// signed with Ed25519; once a publisher's public key is trusted, by saving it
+// as ~/.skunk/keys/<publisher>.pem, its checksums must carry a valid
+// signature. The built-in skills source and the plugins API are "skunk".
+// ═══════════════════════════════════════════════════════════════════════════
+
+const KEYS_DIR = path.join(process.env.HOME, '.skunk', 'keys');
+
+// Verification failures carry code EINTEGRITY so callers can tell them
+// apart from network errors and suggest --skip-verify
+function integrityError(message) {
+  const err = new Error(message);
+  err.code = 'EINTEGRITY';
+  return err;
+}
+
+function keyPath(publisher) {
+  return path.join(KEYS_DIR, `${publisher}.pem`);
+}
+
+// The trusted public key for a publisher, or null if none is configured
+function trustedKey(publisher) {
+  const file = keyPath(publisher);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return crypto.createPublicKey(fs.readFileSync(file));
+  } catch (e) {
+    throw new Error(`Invalid public key ${file}: ${e.message}`);
+  }
+}
+
+// Trust a PEM public key file for a publisher
+function addTrustedKey(publisher, file) {
+  let key;
+  try {
+    key = crypto.createPublicKey(fs.readFileSync(file));
+  } catch (e) {
+    throw new Error(`Could not read public key ${file}: ${e.message}`);
+  }
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`${file} is a ${key.asymmetricKeyType} key; checksums are signed with ed25519`);
+  }
+
+  fs.mkdirSync(KEYS_DIR, { recursive: true });
+  fs.writeFileSync(keyPath(publisher), key.export({ type: 'spki', format: 'pem' }));
+}
+
+function removeTrustedKey(publisher) {
+  fs.rmSync(keyPath(publisher), { force: true });
+}
+
+// Accept "sha256-<hex>" or a bare hex digest
+function normaliseHash(hash) {
+  if (typeof hash !== 'string') return null;
+  const m = hash.trim().toLowerCase().match(/^(?:sha256-)?([0-9a-f]{64})$/);
+  return m ? `sha256-${m[1]}` : null;
+}
+
+// Signatures cover the checksums as JSON with sorted keys, so publishers
+// can produce the same bytes in any language
+function canonicalChecksums(checksums) {
+  const sorted = {};
+  for (const file of Object.keys(checksums).sort()) {
+    sorted[file] = normaliseHash(checksums[file]);
+  }
+  return JSON.stringify(sorted);
+}
+
+// Plugin signatures also cover the slug and version, so a validly signed
+// zip can't be served in place of another plugin or release
+function canonicalRelease(slug, version, sha256) {
+  return JSON.stringify({ sha256: normaliseHash(sha256), slug, version: version || null });
+}
+
+function verifySignature(publisher, label, payload, signature) {
+  const key = trustedKey(publisher);
+  if (!key) return;
+
+  if (!signature) {
+    throw integrityError(`Checksums for ${label} are not signed, but a key for "${publisher}" is trusted (${keyPath(publisher)})`);
+  }
+
+  const ok = crypto.verify(null, Buffer.from(payload), key, Buffer.from(signature, 'base64'));
+  if (!ok) {
+    throw integrityError(`Signature check failed for ${label}: its checksums were not signed by "${publisher}"`);
+  }
+}
+
+// Nothing was published to check against: fine unless the publisher's key
+// is trusted, in which case everything from them must be signed
+function checkUnpublished(publisher, label) {
+  if (trustedKey(publisher)) {
+    throw integrityError(`No checksums were published for ${label}, but a key for "${publisher}" is trusted (${keyPath(publisher)})`);
+  }
+  return false;
+}
+
+function checkHash(label, content, expected) {
+  const want = normaliseHash(expected);
+  if (!want) {
+    throw integrityError(`Invalid checksum for ${label}: ${JSON.stringify(expected)}`);
+  }
+
+  const got = hashContent(content);
+  if (got !== want) {
+    throw integrityError(`Checksum mismatch for ${label}: expected ${want}, got ${got}`);
+  }
+}
+
+// Check fetched skill files against published { files, signature }.
+// Returns false when there are no checksums to check (and no key demands
+// them); throws naming the first file that doesn't match, or the first
+// published file that wasn't received, so a truncated skill is refused.
+function verifySkillFiles(publisher, name, files, published) {
+  if (!published || !published.files) {
+    return checkUnpublished(publisher, name);
+  }
+
+  verifySignature(publisher, name, canonicalChecksums(published.files), published.signature);
+
+  for (const [file, content] of Object.entries(files)) {
+    if (published.files[file] === undefined) {
+      throw integrityError(`${name}/${file} is not listed in the published checksums`);
+    }
+    checkHash(`${name}/${file}`, content, published.files[file]);
+  }
+  for (const file of Object.keys(published.files)) {
+    if (files[file] === undefined) {
+      throw integrityError(`${name}/${file} is listed in the published checksums but was not downloaded`);
+    }
+  }
+  return true;
+}
+
+// Check a downloaded plugin zip for a { slug, version } release against its
+// versions API entry ({ sha256, signature }). Returns false when none is
+// published.
+function verifyDownload(publisher, release, content, info) {
+  const label = `${release.slug}.zip`;
+  if (!info || !info.sha256) {
+    return checkUnpublished(publisher, label);
+  }
+
+  verifySignature(publisher, label, canonicalRelease(release.slug, release.version, info.sha256), info.signature);
+  checkHash(label, content, info.sha256);
+  return true;
+}
+
+module.exports = {
+  KEYS_DIR,
+  trustedKey,
+  addTrustedKey,
+  removeTrustedKey,
+  canonicalChecksums,
+  canonicalRelease,
+  verifySkillFiles,
+  verifyDownload,
+};
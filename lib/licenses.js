@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchJson } = require('./http');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// License keys
+//
+// Pro plugin license keys are saved per product ("skunkcrm") in
+// ~/.skunk/credentials.json, readable only by the current user, or given in
+// SKUNK_LICENSE_<PRODUCT> environment variables (SKUNK_LICENSE_SKUNKCRM),
+// which win over saved keys. Keys end up in download URLs, so anything
+// printed that may contain one goes through redactSecrets().
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CREDENTIALS_FILE = path.join(process.env.HOME, '.skunk', 'credentials.json');
+
+const ENV_PREFIX = 'SKUNK_LICENSE_';
+
+const LICENSE_STATUS_URL = 'https://skunkglobal.com/api/plugin-updates/license';
+
+function envName(product) {
+  return ENV_PREFIX + product.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+function readCredentials() {
+  if (!fs.existsSync(CREDENTIALS_FILE)) return { licenses: {} };
+
+  // Like ssh, refuse keys other users could have read
+  if (process.platform !== 'win32' && (fs.statSync(CREDENTIALS_FILE).mode & 0o077)) {
+    throw new Error(`${CREDENTIALS_FILE} can be read by other users. Restrict it with: chmod 600 ${CREDENTIALS_FILE}`);
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8'));
+    return { ...data, licenses: data.licenses || {} };
+  } catch (e) {
+    throw new Error(`Invalid credentials file ${CREDENTIALS_FILE}: ${e.message}`);
+  }
+}
+
+function writeCredentials(data) {
+  fs.mkdirSync(path.dirname(CREDENTIALS_FILE), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(CREDENTIALS_FILE, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  // writeFileSync keeps the mode of a file that already exists
+  fs.chmodSync(CREDENTIALS_FILE, 0o600);
+}
+
+// The license key for a product as { key, source }, where source is the
+// environment variable or "credentials"; null when there isn't one
+function getLicense(product) {
+  const env = process.env[envName(product)];
+  if (env) return { key: env.trim(), source: envName(product) };
+
+  const saved = readCredentials().licenses[product];
+  return saved ? { key: saved.key, source: 'credentials' } : null;
+}
+
+function addLicense(product, key) {
+  key = String(key || '').trim();
+  if (!/^[^\s&?#'"]{4,}$/.test(key)) {
+    throw new Error('Invalid license key');
+  }
+
+  const data = readCredentials();
+  data.licenses[product] = { key, addedAt: new Date().toISOString() };
+  writeCredentials(data);
+}
+
+// Forget a saved key. Returns false when none was saved.
+function removeLicense(product) {
+  const data = readCredentials();
+  if (!data.licenses[product]) return false;
+  delete data.licenses[product];
+  writeCredentials(data);
+  return true;
+}
+
+// Every key available, saved or from the environment, sorted by product
+function listLicenses() {
+  const licenses = new Map();
+
+  for (const [product, saved] of Object.entries(readCredentials().licenses)) {
+    licenses.set(product, { product, key: saved.key, source: 'credentials', addedAt: saved.addedAt || null });
+  }
+  for (const [name, value] of Object.entries(process.env)) {
+    if (!name.startsWith(ENV_PREFIX) || !value) continue;
+    const product = name.slice(ENV_PREFIX.length).toLowerCase();
+    licenses.set(product, { product, key: value.trim(), source: name, addedAt: null });
+  }
+
+  return [...licenses.values()].sort((a, b) => a.product.localeCompare(b.product));
+}
+
+// "••••3f9a": enough to tell keys apart without revealing them
+function maskKey(key) {
+  return key.length > 8 ? `••••${key.slice(-4)}` : '••••';
+}
+
+// Mask license keys in text about to be printed: license_key= URL
+// parameters, --license= flags and any known key appearing verbatim
+function redactSecrets(text) {
+  let redacted = String(text).replace(/(license_key=|--license=)[^&\s'"]+/g, '$1****');
+
+  let known = [];
+  try {
+    known = listLicenses().map(l => l.key);
+  } catch (e) {
+    // An unreadable credentials file leaves the patterns above
+  }
+  for (const key of known) {
+    if (key.length >= 4) redacted = redacted.split(key).join(maskKey(key));
+  }
+  return redacted;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// License status
+// ─────────────────────────────────────────────────────────────────────────
+
+// "https://www.Example.com/" and "example.com" are the same site
+function normaliseSiteUrl(url) {
+  return String(url).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+}
+
+// Ask the licensing server about a key. It answers with
+//   { product, status, expires, activations: { used, limit }, sites: [url] }
+// (limit null for unlimited) and 401, 403 or 404 for keys it doesn't know.
+// Resolves with { product, status, expires, used, limit, sites,
+// siteActivated }, where status is "active", "expired", "disabled" or
+// "invalid" and siteActivated says whether siteUrl is one of the activated
+// sites (null without a siteUrl).
+async function fetchLicenseStatus(key, siteUrl = null) {
+  let data;
+  try {
+    data = await fetchJson(`${LICENSE_STATUS_URL}?license_key=${encodeURIComponent(key)}`);
+  } catch (e) {
+    if (!/^HTTP 40[13]$/.test(e.message)) throw e;
+    data = null;
+  }
+
+  if (!data) {
+    return { product: null, status: 'invalid', expires: null, used: 0, limit: null, sites: [], siteActivated: siteUrl ? false : null };
+  }
+
+  const expires = data.expires || null;
+  const lapsed = expires && !Number.isNaN(Date.parse(expires)) && Date.parse(expires) < Date.now();
+  const sites = Array.isArray(data.sites) ? data.sites : [];
+  const activations = data.activations || {};
+
+  return {
+    product: data.product || null,
+    status: lapsed ? 'expired' : (data.status || 'active'),
+    expires,
+    used: activations.used !== undefined ? activations.used : sites.length,
+    limit: activations.limit !== undefined ? activations.limit : null,
+    sites,
+    siteActivated: siteUrl ? isSiteActivated(sites, siteUrl) : null,
+  };
+}
+
+function isSiteActivated(sites, siteUrl) {
+  return sites.some(s => normaliseSiteUrl(s) === normaliseSiteUrl(siteUrl));
+}
+
+module.exports = {
+  CREDENTIALS_FILE,
+  envName,
+  getLicense,
+  addLicense,
+  removeLicense,
+  listLicenses,
+  maskKey,
+  redactSecrets,
+  fetchLicenseStatus,
+  isSiteActivated,
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Skill lockfile (skunk.lock)
+//
+// Records where each installed skill came from (repo, ref, commit) and a
+// SHA-256 hash of every file, so `skunk install --frozen` can reproduce the
+// exact same files on another machine.
+//
+// A skunk.lock in the current directory takes precedence (project lock);
+// otherwise the global one in ~/.openclaw is used.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const LOCKFILE_NAME = 'skunk.lock';
+const LOCKFILE_VERSION = 1;
+const GLOBAL_LOCKFILE = path.join(process.env.HOME, '.openclaw', LOCKFILE_NAME);
+
+function getLockfilePath() {
+  const projectLock = path.join(process.cwd(), LOCKFILE_NAME);
+  return fs.existsSync(projectLock) ? projectLock : GLOBAL_LOCKFILE;
+}
+
+function readLockfile(lockPath = getLockfilePath()) {
+  const empty = { lockfileVersion: LOCKFILE_VERSION, skills: {} };
+
+  if (!fs.existsSync(lockPath)) return empty;
+
+  // An empty file is a valid way to opt a project into its own lockfile
+  const raw = fs.readFileSync(lockPath, 'utf8').trim();
+  if (!raw) return empty;
+
+  let lock;
+  try {
+    lock = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid lockfile ${lockPath}: ${e.message}`);
+  }
+
+  if (lock.lockfileVersion > LOCKFILE_VERSION) {
+    throw new Error(`${lockPath} was written by a newer Skunk CLI. Run: skunk update`);
+  }
+
+  return { lockfileVersion: LOCKFILE_VERSION, skills: lock.skills || {} };
+}
+
+function writeLockfile(lock, lockPath = getLockfilePath()) {
+  // Sort skills and files so the lockfile diffs cleanly in version control
+  const skills = {};
+  for (const name of Object.keys(lock.skills).sort()) {
+    const entry = lock.skills[name];
+    const files = {};
+    for (const file of Object.keys(entry.files || {}).sort()) {
+      files[file] = entry.files[file];
+    }
+    skills[name] = { ...entry, files };
+  }
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  fs.writeFileSync(lockPath, JSON.stringify({ lockfileVersion: LOCKFILE_VERSION, skills }, null, 2) + '\n');
+}
+
+function lockSkill(name, entry) {
+  const lockPath = getLockfilePath();
+  const lock = readLockfile(lockPath);
+  lock.skills[name] = entry;
+  writeLockfile(lock, lockPath);
+}
+
+function unlockSkill(name) {
+  const lockPath = getLockfilePath();
+  if (!fs.existsSync(lockPath)) return;
+
+  const lock = readLockfile(lockPath);
+  if (!lock.skills[name]) return;
+
+  delete lock.skills[name];
+  writeLockfile(lock, lockPath);
+}
+
+function hashContent(content) {
+  return 'sha256-' + crypto.createHash('sha256').update(content).digest('hex');
+}
+
+module.exports = {
+  LOCKFILE_NAME,
+  getLockfilePath,
+  readLockfile,
+  writeLockfile,
+  lockSkill,
+  unlockSkill,
+  hashContent,
+};
@@ -0,0 +1,265 @@
+const { SKILL_NAME_RE, checkSkillPath } = require('./skills');
+const semver = require('./semver');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Skill manifest (config.json) schema and validation
+//
+// Schema version 1:
+//
+//   {
+//     "schemaVersion": 1,
+//     "name": "skunkforms",                       required, matches the directory
+//     "version": "1.2.0",                         required, semver
+//     "description": "Build and manage forms",    required
+//     "requires": {
+//       "skunk": ">=2.3.0",                       Skunk CLI version range
+//       "cli": { "wp": ">=2.8" },                 commands on PATH (or an array of names)
+//       "plugins": ["skunkforms"],                WordPress plugins from `skunk plugins`
+//       "skills": { "wordpress-studio": "^1.0" }  other skills (or an array of names)
+//     },
+//     "files": ["scripts/sync.sh"]                optional install manifest
+//   }
+//
+// Manifests without a schemaVersion predate the schema; their problems are
+// reported as warnings so existing skills keep installing.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MANIFEST_SCHEMA_VERSION = 1;
+const CLI_VERSION = require('../package.json').version;
+
+const NAME_RE = SKILL_NAME_RE;
+// Commands in requires.cli: a plain name looked up on PATH, never a path
+const COMMAND_RE = /^[A-Za-z0-9][A-Za-z0-9._+-]*$/;
+const REQUIREMENT_KEYS = ['skunk', 'cli', 'plugins', 'skills'];
+
+// Parse the simple "key: value" YAML front-matter used by SKILL.md.
+// Returns null when there is none.
+function parseFrontMatter(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (lines[0].trim() !== '---') return null;
+
+  const end = lines.indexOf('---', 1);
+  if (end === -1) {
+    return { attributes: {}, error: 'front-matter is missing its closing ---' };
+  }
+
+  const attributes = {};
+  for (const line of lines.slice(1, end)) {
+    // Skip blanks, comments and indented continuation / list lines
+    if (!line.trim() || line.trim().startsWith('#') || /^\s/.test(line) || line.startsWith('-')) continue;
+
+    const m = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!m) {
+      return { attributes, error: `front-matter line is not "key: value": ${line}` };
+    }
+    attributes[m[1]] = m[2].replace(/^(["'])(.*)\1$/, '$2');
+  }
+
+  return { attributes, error: null };
+}
+
+// Normalise requires.cli / requires.skills, which may be an array of names
+// or a map of name to version range
+function toRangeMap(value) {
+  if (Array.isArray(value)) {
+    return Object.fromEntries(value.map(name => [name, '*']));
+  }
+  return value || {};
+}
+
+// A manifest's requirements. Names validateSkill would reject are left out,
+// so they never reach a command line or a path.
+function getRequirements(manifest) {
+  const requires = (manifest && typeof manifest.requires === 'object' && manifest.requires) || {};
+  const valid = (map, pattern) => Object.fromEntries(Object.entries(map).filter(([name]) => pattern.test(name)));
+  return {
+    skunk: typeof requires.skunk === 'string' ? requires.skunk : null,
+    cli: valid(toRangeMap(requires.cli), COMMAND_RE),
+    plugins: Array.isArray(requires.plugins) ? requires.plugins : [],
+    skills: valid(toRangeMap(requires.skills), NAME_RE),
+  };
+}
+
+// The parsed config.json from a skill's files, or null if it has none or
+// it doesn't parse (validateSkill reports why)
+function readManifest(files) {
+  if (!files['config.json']) return null;
+  try {
+    const manifest = JSON.parse(files['config.json'].toString('utf8'));
+    return manifest && typeof manifest === 'object' && !Array.isArray(manifest) ? manifest : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Validate a skill's fetched files ({ path: Buffer|string }) before install.
+// knownPlugins lists valid plugin keys for requires.plugins.
+function validateSkill(name, files, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const text = file => files[file] === undefined ? null : files[file].toString('utf8');
+
+  // ─── SKILL.md ───────────────────────────────────────────────────────────
+  const skillMd = text('SKILL.md');
+  if (skillMd === null) {
+    errors.push('SKILL.md is missing');
+  } else if (!skillMd.trim()) {
+    errors.push('SKILL.md is empty');
+  } else {
+    const front = parseFrontMatter(skillMd);
+    if (!front) {
+      warnings.push('SKILL.md has no front-matter (--- name/description ---)');
+    } else if (front.error) {
+      errors.push(`SKILL.md ${front.error}`);
+    } else {
+      for (const key of ['name', 'description']) {
+        if (!front.attributes[key]) errors.push(`SKILL.md front-matter is missing "${key}"`);
+      }
+      if (front.attributes.name && front.attributes.name !== name) {
+        warnings.push(`SKILL.md front-matter name "${front.attributes.name}" does not match skill "${name}"`);
+      }
+    }
+  }
+
+  // ─── config.json ────────────────────────────────────────────────────────
+  const configText = text('config.json');
+  if (configText === null) {
+    warnings.push('no config.json manifest');
+    return { manifest: null, errors, warnings };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(configText);
+  } catch (e) {
+    errors.push(`config.json is not valid JSON: ${e.message}`);
+    return { manifest: null, errors, warnings };
+  }
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    errors.push('config.json must be a JSON object');
+    return { manifest: null, errors, warnings };
+  }
+
+  const legacy = manifest.schemaVersion === undefined;
+  const problem = legacy ? warnings : errors;
+
+  if (legacy) {
+    warnings.push(`config.json has no "schemaVersion" (current is ${MANIFEST_SCHEMA_VERSION})`);
+  } else if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+    errors.push('"schemaVersion" must be a positive integer');
+  } else if (manifest.schemaVersion > MANIFEST_SCHEMA_VERSION) {
+    errors.push(`config.json uses schema v${manifest.schemaVersion}; this Skunk CLI supports up to v${MANIFEST_SCHEMA_VERSION}. Run: skunk update`);
+    return { manifest, errors, warnings };
+  }
+
+  if (manifest.name === undefined) {
+    problem.push('"name" is required');
+  } else if (typeof manifest.name !== 'string' || !NAME_RE.test(manifest.name)) {
+    // Always an error: the name may become the skill's directory
+    errors.push('"name" must be lowercase letters, numbers, dots, dashes or underscores');
+  } else if (manifest.name !== name) {
+    problem.push(`"name" is "${manifest.name}" but the skill is installed as "${name}"`);
+  }
+
+  if (manifest.version === undefined) {
+    problem.push('"version" is required');
+  } else if (typeof manifest.version !== 'string' || !semver.valid(manifest.version)) {
+    problem.push(`"version" must be a semver version like 1.0.0 (got ${JSON.stringify(manifest.version)})`);
+  }
+
+  if (manifest.description === undefined) {
+    problem.push('"description" is required');
+  } else if (typeof manifest.description !== 'string' || !manifest.description.trim()) {
+    problem.push('"description" must be a non-empty string');
+  }
+
+  if (manifest.files !== undefined) {
+    if (!Array.isArray(manifest.files)) {
+      problem.push('"files" must be an array of paths');
+    } else {
+      for (const file of manifest.files) {
+        try {
+          checkSkillPath(file);
+        } catch (e) {
+          problem.push(`"files": ${e.message}`);
+        }
+      }
+    }
+  }
+
+  validateRequirements(manifest.requires, { errors, warnings, problem }, options);
+
+  return { manifest, errors, warnings };
+}
+
+function validateRequirements(requires, report, options) {
+  const { errors, warnings, problem } = report;
+
+  if (requires === undefined) return;
+
+  if (!requires || typeof requires !== 'object' || Array.isArray(requires)) {
+    problem.push('"requires" must be an object');
+    return;
+  }
+
+  for (const key of Object.keys(requires)) {
+    if (!REQUIREMENT_KEYS.includes(key)) {
+      warnings.push(`unknown requirement "requires.${key}"`);
+    }
+  }
+
+  if (requires.skunk !== undefined) {
+    if (typeof requires.skunk !== 'string' || !semver.validRange(requires.skunk)) {
+      problem.push('"requires.skunk" must be a version range like >=2.3.0');
+    } else if (!semver.satisfies(CLI_VERSION, requires.skunk)) {
+      // Always an error: the skill can't work with this CLI, legacy or not
+      errors.push(`needs Skunk CLI ${requires.skunk} (this is ${CLI_VERSION}). Run: skunk update`);
+    }
+  }
+
+  for (const key of ['cli', 'skills']) {
+    const value = requires[key];
+    if (value === undefined) continue;
+
+    const isNameList = Array.isArray(value) && value.every(v => typeof v === 'string');
+    const isRangeMap = value && typeof value === 'object' && !Array.isArray(value);
+    if (!isNameList && !isRangeMap) {
+      problem.push(`"requires.${key}" must be an array of names or an object of name: version range`);
+      continue;
+    }
+
+    // Always errors: these names reach `which` and skill directory paths
+    const pattern = key === 'cli' ? COMMAND_RE : NAME_RE;
+    for (const [name, range] of Object.entries(toRangeMap(value))) {
+      if (!pattern.test(name)) {
+        errors.push(`"requires.${key}" has an invalid ${key === 'cli' ? 'command' : 'skill'} name: ${JSON.stringify(name)}`);
+        continue;
+      }
+      if (typeof range !== 'string' || !semver.validRange(range)) {
+        problem.push(`"requires.${key}.${name}" has an invalid version range: ${JSON.stringify(range)}`);
+      }
+    }
+  }
+
+  if (requires.plugins !== undefined) {
+    if (!Array.isArray(requires.plugins) || !requires.plugins.every(p => typeof p === 'string')) {
+      problem.push('"requires.plugins" must be an array of plugin names');
+    } else if (options.knownPlugins) {
+      for (const plugin of requires.plugins) {
+        if (!options.knownPlugins.includes(plugin.replace(/-pro$/, ''))) {
+          problem.push(`"requires.plugins" lists unknown plugin "${plugin}"`);
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  MANIFEST_SCHEMA_VERSION,
+  CLI_VERSION,
+  parseFrontMatter,
+  getRequirements,
+  readManifest,
+  validateSkill,
+};
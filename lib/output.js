@@ -0,0 +1,114 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Output
+//
+// Colors and message helpers shared by the commands. With --json a command
+// prints a single JSON document on stdout when it finishes and everything
+// meant for people (progress, prompts, WP-CLI output) goes to stderr, so
+// scripts can parse stdout as is. Warnings and errors always go to stderr,
+// and in JSON mode are also listed in the document. Colors are off with
+// --json, --no-color or a NO_COLOR environment variable.
+//
+// Reporting an error fails the command. The exit code says why:
+//
+//   0  success
+//   1  failure not covered below
+//   2  usage error: unknown command, missing or invalid arguments
+//   3  not found: no such skill, plugin, product, site or file
+//   4  network failure: a download or API request failed
+//   5  no WordPress: WP-CLI or Studio is missing, or the site can't be reached
+//   6  partial success: some parts or sites succeeded and others failed
+// ═══════════════════════════════════════════════════════════════════════════
+
+const EXIT = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  NETWORK: 4,
+  NO_WORDPRESS: 5,
+  PARTIAL: 6,
+};
+
+// Flags after "--" are arguments, not options
+const optionsEnd = process.argv.includes('--') ? process.argv.indexOf('--') : process.argv.length;
+const flags = process.argv.slice(0, optionsEnd);
+
+const json = flags.includes('--json');
+const noColor = json || flags.includes('--no-color') || Boolean(process.env.NO_COLOR);
+
+const ANSI = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  magenta: '\x1b[35m',
+  white: '\x1b[37m',
+};
+
+const colors = Object.fromEntries(Object.keys(ANSI).map(name => [name, noColor ? '' : ANSI[name]]));
+
+// Where text for people goes: stdout, unless stdout is reserved for JSON
+const textStream = json ? process.stderr : process.stdout;
+
+if (json) {
+  console.log = console.error;
+}
+
+const document = {};
+const warnings = [];
+const errors = [];
+
+function success(msg) { console.log(`${colors.green}✓${colors.reset} ${msg}`); }
+function info(msg) { console.log(`${colors.cyan}ℹ${colors.reset} ${msg}`); }
+
+function warn(msg) {
+  warnings.push(String(msg));
+  console.error(`${colors.yellow}!${colors.reset} ${msg}`);
+}
+
+function error(msg, code = EXIT.FAILURE) {
+  errors.push(String(msg));
+  console.error(`${colors.red}✗${colors.reset} ${msg}`);
+  fail(code);
+}
+
+// Set the exit code. The first failure is the one reported, except that a
+// partial success replaces the failures it summarises.
+function fail(code = EXIT.FAILURE) {
+  if (!process.exitCode || code === EXIT.PARTIAL) process.exitCode = code;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// JSON documents
+// ─────────────────────────────────────────────────────────────────────────
+
+// Add fields to the command's JSON document
+function setOutput(fields) {
+  Object.assign(document, fields);
+}
+
+// Add an entry to the document's "results": one per skill or plugin that
+// an install or remove command acted on
+function addResult(entry) {
+  (document.results = document.results || []).push(entry);
+}
+
+// Print the document: { command, ok, ...fields, warnings, errors }. ok is
+// false when the command failed, reported an error or a result failed.
+function printJson(command) {
+  const result = {
+    command,
+    ok: !process.exitCode && errors.length === 0 && (document.results || []).every(r => r.ok),
+    ...document,
+    warnings,
+    errors,
+  };
+  process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+}
+
+module.exports = {
+  EXIT, json, colors, textStream, success, info, warn, error, fail, setOutput, addResult, printJson,
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('./lockfile');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Plugin zip cache and install history
+//
+// Every plugin zip the CLI installs is kept in ~/.skunk/plugins/<slug>/ as
+// <version>.zip, and history.json records the versions installed on each
+// site in order, so `skunk rollback plugin` can put back the exact build
+// that was there before.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PLUGINS_DIR = path.join(process.env.HOME, '.skunk', 'plugins');
+const INDEX_FILE = path.join(PLUGINS_DIR, 'index.json');
+const HISTORY_FILE = path.join(PLUGINS_DIR, 'history.json');
+
+// Cached zips kept per plugin; older ones are pruned
+const MAX_CACHED_VERSIONS = 5;
+
+function readJson(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid ${path.basename(file)} in ${PLUGINS_DIR}: ${e.message}`);
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(PLUGINS_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function zipPath(slug, version) {
+  return path.join(PLUGINS_DIR, slug, `${version}.zip`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Zip cache
+// ─────────────────────────────────────────────────────────────────────────
+
+function cachePluginZip(slug, version, file) {
+  const content = fs.readFileSync(file);
+  const dest = zipPath(slug, version);
+
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.writeFileSync(dest, content);
+
+  const index = readJson(INDEX_FILE);
+  const versions = index[slug] = index[slug] || {};
+  versions[version] = { sha256: hashContent(content), cachedAt: new Date().toISOString() };
+
+  // Keep the most recently cached versions
+  const stale = Object.keys(versions)
+    .sort((a, b) => versions[b].cachedAt.localeCompare(versions[a].cachedAt))
+    .slice(MAX_CACHED_VERSIONS);
+  for (const old of stale) {
+    fs.rmSync(zipPath(slug, old), { force: true });
+    delete versions[old];
+  }
+
+  writeJson(INDEX_FILE, index);
+}
+
+// The cached zip for a plugin version, or null. A zip that no longer
+// matches the hash recorded when it was cached is dropped.
+function getCachedZip(slug, version) {
+  const entry = (readJson(INDEX_FILE)[slug] || {})[version];
+  const file = zipPath(slug, version);
+  if (!entry || !fs.existsSync(file)) return null;
+
+  if (hashContent(fs.readFileSync(file)) !== entry.sha256) {
+    fs.rmSync(file, { force: true });
+    return null;
+  }
+  return file;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Install history
+// ─────────────────────────────────────────────────────────────────────────
+
+// Versions of a plugin installed on a site, oldest first
+function getHistory(siteId, slug) {
+  return ((readJson(HISTORY_FILE)[siteId] || {})[slug] || []).slice();
+}
+
+function setHistory(siteId, slug, versions) {
+  const history = readJson(HISTORY_FILE);
+  history[siteId] = history[siteId] || {};
+  history[siteId][slug] = versions;
+  writeJson(HISTORY_FILE, history);
+}
+
+// Note that `version` replaced `previous` (null for a fresh install)
+function recordInstall(siteId, slug, previous, version) {
+  const versions = getHistory(siteId, slug);
+  if (previous && versions[versions.length - 1] !== previous) versions.push(previous);
+  if (versions[versions.length - 1] !== version) versions.push(version);
+  setHistory(siteId, slug, versions);
+}
+
+// The version installed before `current`, or null if none is recorded
+function previousVersion(siteId, slug, current) {
+  const versions = getHistory(siteId, slug);
+  while (versions.length && versions[versions.length - 1] === current) versions.pop();
+  return versions.length ? versions[versions.length - 1] : null;
+}
+
+// After a rollback to `version`, forget what came after it so the next
+// rollback goes further back rather than forward again
+function recordRollback(siteId, slug, version) {
+  const versions = getHistory(siteId, slug);
+  const at = versions.lastIndexOf(version);
+  setHistory(siteId, slug, at === -1 ? [version] : versions.slice(0, at + 1));
+}
+
+module.exports = {
+  PLUGINS_DIR,
+  cachePluginZip,
+  getCachedZip,
+  recordInstall,
+  previousVersion,
+  recordRollback,
+};
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchJson } = require('./http');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Plugin registry
+//
+// Maps product names to their plugin slugs, the AI skill that manages them
+// and any other names their plugins are known by, so "skunk install
+// <product>", `wp plugin list` output and user input all resolve to the
+// same slugs. The registry comes from the plugins versions API, either its
+// "products" map or derived from its "plugins", and is saved to
+// ~/.skunk/registry.json; the copy bundled below is used until the first
+// successful fetch and whenever the saved one is unreadable.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const VERSIONS_URL = 'https://skunkglobal.com/api/plugins/versions';
+const REGISTRY_FILE = path.join(process.env.HOME, '.skunk', 'registry.json');
+
+// How long a saved registry is used before fetching it again
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const BUNDLED_PRODUCTS = {
+  'skunkcrm': {
+    slug: 'skunkcrm',
+    proSlug: 'skunkcrm-pro',
+    name: 'SkunkCRM',
+    skill: 'skunkcrm',
+    aliases: ['skunk-crm', 'crm'],
+    wpNames: ['skunk-crm'],
+  },
+  'skunkforms': {
+    slug: 'skunkforms',
+    proSlug: 'skunkforms-pro',
+    name: 'SkunkForms',
+    skill: 'skunkforms',
+    aliases: ['skunk-forms', 'forms'],
+    wpNames: ['skunk-forms'],
+  },
+  'skunkpages': {
+    slug: 'skunkpages',
+    proSlug: 'skunkpages-pro',
+    name: 'SkunkPages',
+    skill: 'skunkpages',
+    aliases: ['skunk-pages', 'pages'],
+    wpNames: ['skunk-pages'],
+  },
+};
+
+let products = null;
+
+function readSaved() {
+  if (!fs.existsSync(REGISTRY_FILE)) return null;
+  try {
+    const saved = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+    return saved.products && Object.keys(saved.products).length > 0 ? saved : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Products keyed by name: the last registry fetched, or the bundled one
+function getProducts() {
+  if (!products) {
+    const saved = readSaved();
+    products = saved ? saved.products : BUNDLED_PRODUCTS;
+  }
+  return products;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Loading from the API
+// ─────────────────────────────────────────────────────────────────────────
+
+// Products without listed aliases answer to the names the CLI has always
+// accepted: "skunk-crm" and "crm" for skunkcrm
+function defaultAliases(slug) {
+  const m = slug.match(/^skunk-?(.+)$/);
+  return m ? [`skunk-${m[1]}`, m[1]].filter(alias => alias !== slug) : [];
+}
+
+// Other names WordPress may list the plugin under ("skunk-crm"). Unlike
+// aliases these must be unambiguous: they decide which installed plugins
+// are ours.
+function defaultWpNames(slug) {
+  const m = slug.match(/^skunk-?(.+)$/);
+  return m && `skunk-${m[1]}` !== slug ? [`skunk-${m[1]}`] : [];
+}
+
+function normaliseProduct(key, entry, fallback = {}) {
+  const slug = entry.slug || key;
+  return {
+    slug,
+    proSlug: entry.proSlug !== undefined ? entry.proSlug : (entry.pro_slug || fallback.proSlug || null),
+    name: entry.name || fallback.name || key,
+    skill: entry.skill !== undefined ? entry.skill : (fallback.skill || null),
+    aliases: Array.isArray(entry.aliases) ? entry.aliases : (fallback.aliases || defaultAliases(slug)),
+    wpNames: Array.isArray(entry.wpNames) ? entry.wpNames
+      : Array.isArray(entry.wp_names) ? entry.wp_names
+      : (fallback.wpNames || defaultWpNames(slug)),
+  };
+}
+
+// Build products from a versions API response. A "products" map is used
+// as is; otherwise every free plugin is a product, with "<slug>-pro" as
+// its Pro plugin when that is listed too. Returns null if there are none.
+function productsFromVersions(data) {
+  if (!data || typeof data !== 'object') return null;
+  const result = {};
+
+  if (data.products && typeof data.products === 'object') {
+    for (const [key, entry] of Object.entries(data.products)) {
+      result[key] = normaliseProduct(key, entry || {}, BUNDLED_PRODUCTS[key]);
+    }
+  } else if (data.plugins && typeof data.plugins === 'object') {
+    for (const [slug, info] of Object.entries(data.plugins)) {
+      if (!info || info.type !== 'free') continue;
+      const proSlug = info.pro_slug || (data.plugins[`${slug}-pro`] ? `${slug}-pro` : null);
+      result[slug] = normaliseProduct(slug, { ...info, slug, proSlug }, BUNDLED_PRODUCTS[slug]);
+    }
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+// Take the registry from a versions API response fetched for another
+// reason, saving it for later commands. Ignores responses without one.
+function updateRegistry(data) {
+  const fetched = productsFromVersions(data);
+  if (!fetched) return;
+
+  products = fetched;
+  try {
+    fs.mkdirSync(path.dirname(REGISTRY_FILE), { recursive: true });
+    fs.writeFileSync(REGISTRY_FILE, JSON.stringify({ fetchedAt: new Date().toISOString(), products }, null, 2) + '\n');
+  } catch (e) {
+    // Still used for this run
+  }
+}
+
+// Fetch the registry when the saved copy is missing or older than a day.
+// Offline, the saved or bundled registry carries on being used.
+async function refreshRegistry() {
+  const saved = readSaved();
+  if (saved && Date.now() - Date.parse(saved.fetchedAt) < MAX_AGE_MS) return;
+
+  try {
+    updateRegistry(await fetchJson(VERSIONS_URL));
+  } catch (e) {
+    // Keep what we have
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Lookups
+// ─────────────────────────────────────────────────────────────────────────
+
+// Resolve a product or plugin name ("skunkcrm", "skunkcrm-pro", "skunk-crm",
+// "crm") to { key, product, pro, slug }, or null if it isn't one of ours
+function findProduct(name) {
+  if (!name) return null;
+  const wanted = String(name).toLowerCase();
+  const pro = wanted.endsWith('-pro');
+  const base = pro ? wanted.slice(0, -'-pro'.length) : wanted;
+
+  for (const [key, product] of Object.entries(getProducts())) {
+    if (product.proSlug && wanted === product.proSlug) {
+      return { key, product, pro: true, slug: product.proSlug };
+    }
+    const names = [key, product.slug, ...(product.aliases || [])];
+    if (!names.includes(base)) continue;
+    if (pro && !product.proSlug) return null;
+    return { key, product, pro, slug: pro ? product.proSlug : product.slug };
+  }
+  return null;
+}
+
+// Our slug for a plugin as WP-CLI names it ("skunk-crm" → "skunkcrm"), or
+// null for plugins that aren't ours. Only slugs and WordPress names count:
+// the short aliases are for typing, and a third-party plugin called
+// "forms" must not be mistaken for SkunkForms.
+function pluginSlug(wpName) {
+  if (!wpName) return null;
+  const wanted = String(wpName).toLowerCase();
+
+  for (const product of Object.values(getProducts())) {
+    const wpNames = product.wpNames || defaultWpNames(product.slug);
+    if (wanted === product.slug || wpNames.includes(wanted)) return product.slug;
+    if (!product.proSlug) continue;
+    if (wanted === product.proSlug || wpNames.some(name => wanted === `${name}-pro`)) return product.proSlug;
+  }
+  return null;
+}
+
+module.exports = {
+  VERSIONS_URL,
+  BUNDLED_PRODUCTS,
+  getProducts,
+  updateRegistry,
+  refreshRegistry,
+  findProduct,
+  pluginSlug,
+};
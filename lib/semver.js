@@ -0,0 +1,152 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Minimal semver
+//
+// Enough of npm's semver to compare plugin and skill versions and check
+// manifest constraints: exact versions, comparators (>=, >, <=, <, =),
+// caret and tilde ranges, x-ranges (1.x, 1.2.*), space-separated AND and
+// || OR. Missing minor/patch parts count as 0, so "1.4" compares as 1.4.0;
+// in ranges they act as wildcards, so ">1.4" needs 1.5.0 or later.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const VERSION_RE = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_RE = /^v?(\d+|x|\*)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/i;
+
+function parse(version) {
+  const m = String(version).trim().match(VERSION_RE);
+  if (!m) return null;
+  return {
+    major: Number(m[1]),
+    minor: Number(m[2] || 0),
+    patch: Number(m[3] || 0),
+    prerelease: m[4] ? m[4].split('.') : [],
+  };
+}
+
+function valid(version) {
+  return parse(version) !== null;
+}
+
+// -1, 0 or 1; throws on versions that don't parse
+function compare(a, b) {
+  const va = typeof a === 'string' ? parse(a) : a;
+  const vb = typeof b === 'string' ? parse(b) : b;
+  if (!va || !vb) {
+    throw new Error(`Invalid version: ${!va ? a : b}`);
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (va[part] !== vb[part]) return va[part] > vb[part] ? 1 : -1;
+  }
+
+  // A release sorts after its prereleases
+  if (!va.prerelease.length && !vb.prerelease.length) return 0;
+  if (!va.prerelease.length) return 1;
+  if (!vb.prerelease.length) return -1;
+
+  for (let i = 0; i < Math.max(va.prerelease.length, vb.prerelease.length); i++) {
+    const pa = va.prerelease[i];
+    const pb = vb.prerelease[i];
+    if (pa === undefined) return -1;
+    if (pb === undefined) return 1;
+    if (pa === pb) continue;
+
+    const na = /^\d+$/.test(pa);
+    const nb = /^\d+$/.test(pb);
+    if (na && nb) return Number(pa) > Number(pb) ? 1 : -1;
+    if (na !== nb) return na ? -1 : 1;
+    return pa > pb ? 1 : -1;
+  }
+  return 0;
+}
+
+function gt(a, b) {
+  return compare(a, b) > 0;
+}
+
+// Compare versions that may not be strict semver, as WordPress plugins
+// often use ("2.1", "1.4.2.1"), falling back to a numeric-aware string
+// comparison when either doesn't parse
+function compareLoose(a, b) {
+  if (valid(a) && valid(b)) return compare(a, b);
+  return Math.sign(String(a).localeCompare(String(b), undefined, { numeric: true }));
+}
+
+// Expand one comparator ("^1.2", ">=2.8", "1.x") into [operator, version] pairs
+function expandComparator(comp) {
+  const m = comp.match(/^(\^|~|>=|<=|>|<|=)?\s*(.*)$/);
+  const op = m[1] || '';
+  const partial = m[2];
+
+  const p = partial.match(PARTIAL_RE);
+  if (!p) throw new Error(`Invalid version range: ${comp}`);
+
+  const isX = v => v === undefined || v.toLowerCase() === 'x' || v === '*';
+  if (isX(p[1])) return [];
+
+  const major = Number(p[1]);
+  const minor = isX(p[2]) ? null : Number(p[2]);
+  const patch = isX(p[3]) ? null : Number(p[3]);
+
+  const v = (M, mi, pa, pre = []) => ({ major: M, minor: mi, patch: pa, prerelease: pre });
+  const base = v(major, minor || 0, patch || 0, p[4] ? p[4].split('.') : []);
+
+  switch (op) {
+    case '^':
+      if (major > 0 || minor === null) return [['>=', base], ['<', v(major + 1, 0, 0)]];
+      if (minor > 0 || patch === null) return [['>=', base], ['<', v(0, minor + 1, 0)]];
+      return [['>=', base], ['<', v(0, 0, patch + 1)]];
+    case '~':
+      if (minor === null) return [['>=', base], ['<', v(major + 1, 0, 0)]];
+      return [['>=', base], ['<', v(major, minor + 1, 0)]];
+    case '>=':
+    case '<':
+      return [[op, base]];
+    case '>':
+    case '<=': {
+      // Partial versions cover every version they could be, like npm:
+      // ">1.2" means ">=1.3.0" and "<=1.2" means "<1.3.0"
+      if (minor !== null && patch !== null) return [[op, base]];
+      const next = minor === null ? v(major + 1, 0, 0) : v(major, minor + 1, 0);
+      return [[op === '>' ? '>=' : '<', next]];
+    }
+    default:
+      // Bare or "=": partial versions act as x-ranges, like npm
+      if (minor === null) return [['>=', base], ['<', v(major + 1, 0, 0)]];
+      if (patch === null) return [['>=', base], ['<', v(major, minor + 1, 0)]];
+      return [['=', base]];
+  }
+}
+
+function parseRange(range) {
+  return String(range).split('||').map(set => {
+    const comps = set.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return comps.flatMap(expandComparator);
+  });
+}
+
+function validRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function satisfies(version, range) {
+  const v = parse(version);
+  if (!v) return false;
+
+  return parseRange(range).some(set => set.every(([op, bound]) => {
+    const c = compare(v, bound);
+    switch (op) {
+      case '>=': return c >= 0;
+      case '>': return c > 0;
+      case '<=': return c <= 0;
+      case '<': return c < 0;
+      default: return c === 0;
+    }
+  }));
+}
+
+module.exports = { parse, valid, compare, compareLoose, gt, satisfies, validRange };
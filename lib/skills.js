@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('./lockfile');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Installed skills
+//
+// Everything that writes to OPENCLAW_DIR goes through here, so installs,
+// updates, the lockfile and setup all share the same staging and safety
+// checks.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const OPENCLAW_DIR = path.join(process.env.HOME, '.openclaw', 'skills');
+
+// Limits on what a single skill may ship
+const MAX_SKILL_FILES = 500;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_SKILL_BYTES = 25 * 1024 * 1024;
+
+// Skill names become directory names under OPENCLAW_DIR and come from specs,
+// manifests, indexes and lockfiles, so only plain lowercase names are allowed
+const SKILL_NAME_RE = /^[a-z0-9][a-z0-9._-]*$/;
+
+function checkSkillName(name) {
+  if (typeof name !== 'string' || !SKILL_NAME_RE.test(name)) {
+    throw new Error(`Invalid skill name ${JSON.stringify(name)} (use lowercase letters, numbers, dots, dashes and underscores)`);
+  }
+  return name;
+}
+
+// Skill file paths come from remote trees, manifests and lockfiles, so only
+// plain relative paths that stay inside the skill directory are allowed
+function checkSkillPath(file) {
+  const unsafe = typeof file !== 'string' ||
+    !file ||
+    file.includes('\0') ||
+    file.includes('\\') ||
+    path.posix.isAbsolute(file) ||
+    path.posix.normalize(file) !== file ||
+    file.split('/').includes('..');
+
+  if (unsafe) {
+    throw new Error(`Refusing unsafe skill file path: ${JSON.stringify(file)}`);
+  }
+  return file;
+}
+
+// Write a skill into a staging directory beside OPENCLAW_DIR, then swap it
+// into place with renames so a skill is never left half-written.
+// Returns the lockfile hashes of the written files.
+function commitSkill(name, files) {
+  return commitSkills([{ name, files }])[name];
+}
+
+// Put several skills in place together, e.g. a skill and the skills it
+// requires. Each is { name, files }, or { name, link } to point
+// OPENCLAW_DIR/<name> at a skill directory. All are staged
+// before any is swapped in, and if one can't be swapped in, those already
+// swapped are put back, so either all are installed or none is.
+// Returns the lockfile hashes of each skill's files, keyed by name.
+function commitSkills(skills) {
+  skills.forEach(skill => checkSkillName(skill.name));
+  fs.mkdirSync(OPENCLAW_DIR, { recursive: true });
+
+  const stagingDir = fs.mkdtempSync(path.join(path.dirname(OPENCLAW_DIR), '.skunk-staging-'));
+  const swapped = [];
+
+  try {
+    const hashes = {};
+    for (const skill of skills) {
+      const staged = path.join(stagingDir, skill.name);
+      if (skill.link) {
+        fs.symlinkSync(skill.link, staged, 'dir');
+      } else {
+        hashes[skill.name] = writeSkill(staged, skill.files);
+      }
+    }
+
+    for (const skill of skills) {
+      const skillDir = path.join(OPENCLAW_DIR, skill.name);
+      const retired = path.join(stagingDir, `${skill.name}.previous`);
+
+      const hadPrevious = pathExists(skillDir);
+      if (hadPrevious) {
+        fs.renameSync(skillDir, retired);
+      }
+      try {
+        fs.renameSync(path.join(stagingDir, skill.name), skillDir);
+      } catch (e) {
+        if (hadPrevious) fs.renameSync(retired, skillDir);
+        throw e;
+      }
+      swapped.push({ skillDir, retired, hadPrevious });
+    }
+
+    return hashes;
+  } catch (e) {
+    for (const { skillDir, retired, hadPrevious } of swapped.reverse()) {
+      fs.rmSync(skillDir, { recursive: true, force: true });
+      if (hadPrevious) fs.renameSync(retired, skillDir);
+    }
+    throw e;
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+function writeSkill(staged, files) {
+  fs.mkdirSync(staged);
+
+  const hashes = {};
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(staged, checkSkillPath(file));
+    if (!target.startsWith(staged + path.sep)) {
+      throw new Error(`Refusing unsafe skill file path: ${JSON.stringify(file)}`);
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    hashes[file] = hashContent(content);
+  }
+  return hashes;
+}
+
+// Like fs.existsSync, but also true for a broken symlink
+function pathExists(p) {
+  try {
+    fs.lstatSync(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isLinkedSkill(skillPath) {
+  try {
+    return fs.lstatSync(skillPath).isSymbolicLink();
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  OPENCLAW_DIR,
+  MAX_SKILL_FILES,
+  MAX_FILE_BYTES,
+  MAX_SKILL_BYTES,
+  SKILL_NAME_RE,
+  checkSkillName,
+  checkSkillPath,
+  commitSkill,
+  commitSkills,
+  pathExists,
+  isLinkedSkill,
+};
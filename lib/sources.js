@@ -0,0 +1,592 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { fetchBuffer, fetchJson, formatBytes } = require('./http');
+const { MAX_SKILL_FILES, MAX_FILE_BYTES, MAX_SKILL_BYTES, checkSkillName, checkSkillPath } = require('./skills');
+const { addTrustedKey, removeTrustedKey, verifySkillFiles } = require('./integrity');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Skill sources
+//
+// Skills can come from the built-in Skunk repo or from extra sources
+// registered with `skunk source add`:
+//
+//   github  owner/repo[#ref] or https://github.com/owner/repo, skills in skills/<name>/
+//   index   an HTTPS URL serving a JSON skills index
+//   local   a directory containing <name>/SKILL.md (or skills/<name>/SKILL.md)
+//
+// plus "tarball", used for `skunk install skill ./skill.tgz` and never
+// registered as a source.
+//
+// Sources are searched in priority order (lowest first), and
+// "<source>:<skill>" or "<owner/repo>:<skill>" picks one explicitly.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SKUNK_HOME = path.join(process.env.HOME, '.skunk');
+const SOURCES_FILE = path.join(SKUNK_HOME, 'sources.json');
+
+// Fetched when a source can't list a skill's files and it has no manifest
+const SKILL_FILES = ['SKILL.md', 'config.json', 'README.md'];
+
+const DEFAULT_PRIORITY = 50;
+
+// Skill listings and indexes are reused for a few minutes before revalidating
+const LIST_TTL = 10 * 60 * 1000;
+
+const BUILTIN_SOURCE = {
+  name: 'skunk',
+  type: 'github',
+  repo: 'skunkceo/openclaw-skills',
+  ref: 'main',
+  priority: 100,
+};
+
+// ─────────────────────────────────────────────────────────────────────────
+// Source registry
+// ─────────────────────────────────────────────────────────────────────────
+
+function readSourcesFile() {
+  if (!fs.existsSync(SOURCES_FILE)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(SOURCES_FILE, 'utf8')).sources || [];
+  } catch (e) {
+    throw new Error(`Invalid sources file ${SOURCES_FILE}: ${e.message}`);
+  }
+}
+
+function writeSourcesFile(sources) {
+  fs.mkdirSync(SKUNK_HOME, { recursive: true });
+  fs.writeFileSync(SOURCES_FILE, JSON.stringify({ sources }, null, 2) + '\n');
+}
+
+// All configured sources, built-in included, in search order
+function listSources() {
+  return [BUILTIN_SOURCE, ...readSourcesFile()]
+    .sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+}
+
+function addSource(name, location, options = {}) {
+  if (!/^[a-z0-9][a-z0-9._-]*$/i.test(name)) {
+    throw new Error(`Invalid source name "${name}" (use letters, numbers, dots, dashes and underscores)`);
+  }
+
+  const sources = readSourcesFile();
+  if (name === BUILTIN_SOURCE.name || sources.some(s => s.name === name)) {
+    throw new Error(`Source "${name}" already exists`);
+  }
+
+  const def = {
+    name,
+    ...parseLocation(location),
+    priority: options.priority === undefined ? DEFAULT_PRIORITY : options.priority,
+  };
+
+  if (def.type === 'local' && !fs.existsSync(def.path)) {
+    throw new Error(`Directory not found: ${def.path}`);
+  }
+
+  if (options.key) {
+    if (def.type === 'local') {
+      throw new Error('Local sources are not checksummed, so --key does not apply');
+    }
+    addTrustedKey(name, options.key);
+  }
+
+  sources.push(def);
+  writeSourcesFile(sources);
+  return def;
+}
+
+function removeSource(name) {
+  if (name === BUILTIN_SOURCE.name) {
+    throw new Error(`"${name}" is the built-in source and cannot be removed`);
+  }
+
+  const sources = readSourcesFile();
+  const remaining = sources.filter(s => s.name !== name);
+  if (remaining.length === sources.length) {
+    throw new Error(`Unknown source: ${name}`);
+  }
+
+  writeSourcesFile(remaining);
+  removeTrustedKey(name);
+}
+
+// Work out the source type from what the user typed
+function parseLocation(location) {
+  const github = location.match(/^(?:https:\/\/github\.com\/)?([\w.-]+\/[\w.-]+?)(?:\.git)?(?:#(.+))?$/);
+  if (github && !location.startsWith('.') && !fs.existsSync(location)) {
+    return { type: 'github', repo: github[1], ref: github[2] || 'main' };
+  }
+
+  if (/^https:\/\//.test(location)) {
+    return { type: 'index', url: location };
+  }
+
+  if (/^http:\/\//.test(location)) {
+    throw new Error('Skill indexes must be served over HTTPS');
+  }
+
+  const expanded = location.replace(/^~(?=$|\/)/, process.env.HOME);
+  return { type: 'local', path: path.resolve(expanded) };
+}
+
+function describeSource(def) {
+  if (def.type === 'github') return `github ${def.repo}#${def.ref}`;
+  if (def.type === 'index') return `index ${def.url}`;
+  return `local ${def.path}`;
+}
+
+// Resolve a "<source>:" qualifier to a source: a configured source name, a
+// configured GitHub repo, or any other owner/repo on GitHub
+function getSource(qualifier) {
+  const sources = listSources();
+  const match = sources.find(s => s.name === qualifier) ||
+                sources.find(s => s.type === 'github' && s.repo === qualifier);
+  if (match) return createSource(match);
+
+  if (/^[\w.-]+\/[\w.-]+$/.test(qualifier)) {
+    return createSource({ name: qualifier, type: 'github', repo: qualifier, ref: 'main' });
+  }
+
+  const err = new Error(`Unknown source: ${qualifier}. Run "skunk source list" to see configured sources.`);
+  err.code = 'ENOENT';
+  throw err;
+}
+
+// Rebuild the source a skill was installed from using only its lockfile
+// entry, so lockfiles work on machines with a different source list
+function sourceFromLockEntry(entry) {
+  return createSource({
+    name: entry.source || BUILTIN_SOURCE.name,
+    type: entry.type || 'github',
+    repo: entry.repo,
+    url: entry.url,
+    path: entry.path,
+    ref: entry.ref,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Source adapters
+//
+// Each adapter lists its skills, lists the files in one skill and reads
+// them as Buffers; the generic fetchSkill() below builds installs on top.
+// Remote adapters also return the checksums published for a skill as
+// { files: { path: "sha256-<hex>" }, signature }, or null.
+// ─────────────────────────────────────────────────────────────────────────
+
+function createSource(def) {
+  switch (def.type) {
+    case 'github': return githubSource(def);
+    case 'index': return indexSource(def);
+    case 'local': return localSource(def);
+    case 'tarball': return tarballSource(def);
+    default: throw new Error(`Source "${def.name}" has unknown type: ${def.type}`);
+  }
+}
+
+function githubSource(def) {
+  const rawUrl = (ref, name, file) =>
+    `https://raw.githubusercontent.com/${def.repo}/${ref}/skills/${name}/${file}`;
+
+  return {
+    name: def.name,
+    type: 'github',
+    defaultRef: def.ref || 'main',
+    lockInfo: () => ({ source: def.name, type: 'github', repo: def.repo }),
+
+    async list(ref = def.ref || 'main') {
+      const entries = await fetchJson(`https://api.github.com/repos/${def.repo}/contents/skills?ref=${ref}`, { ttl: LIST_TTL });
+      if (!Array.isArray(entries)) {
+        throw new Error(`No skills directory in ${def.repo}`);
+      }
+      return entries.filter(e => e.type === 'dir').map(e => e.name);
+    },
+
+    async resolveCommit(ref) {
+      const commit = await fetchJson(`https://api.github.com/repos/${def.repo}/commits/${ref}`);
+      if (!commit || !commit.sha) {
+        const err = new Error(`unknown ref ${ref}`);
+        err.code = 'ENOENT';
+        throw err;
+      }
+      return commit.sha;
+    },
+
+    // The whole skill directory, via the git trees API
+    async fileList(name, ref) {
+      const tree = await fetchJson(`https://api.github.com/repos/${def.repo}/git/trees/${ref}:skills/${name}?recursive=1`);
+      if (!tree || !Array.isArray(tree.tree)) return [];
+      if (tree.truncated) {
+        throw new Error(`skills/${name} in ${def.repo} is too large to list; add a "files" manifest to its config.json`);
+      }
+      return tree.tree.filter(e => e.type === 'blob').map(e => e.path);
+    },
+
+    readFile(name, ref, file) {
+      return fetchBuffer(rawUrl(ref, name, file), { maxBytes: MAX_FILE_BYTES });
+    },
+
+    // Published beside the skill directory as skills/<name>.checksums.json
+    // so the checksums file isn't itself installed
+    async checksums(name, ref) {
+      const body = await fetchBuffer(
+        `https://raw.githubusercontent.com/${def.repo}/${ref}/skills/${name}.checksums.json`,
+        { maxBytes: MAX_FILE_BYTES }
+      );
+      return body === null ? null : parseChecksums(body, `skills/${name}.checksums.json in ${def.repo}`);
+    },
+  };
+}
+
+// An index is JSON of the form:
+//
+//   { "skills": { "<name>": {
+//       "baseUrl": "https://...",
+//       "files": ["SKILL.md", ...],
+//       "checksums": { "SKILL.md": "sha256-<hex>", ... },
+//       "signature": "<base64 Ed25519 signature of the checksums>"
+//   } } }
+//
+// baseUrl defaults to "<name>/" next to the index, files to the standard set.
+function indexSource(def) {
+  let index = null;
+
+  async function load() {
+    if (!index) {
+      const data = await fetchJson(def.url, { ttl: LIST_TTL });
+      if (!data || typeof data.skills !== 'object') {
+        throw new Error(`${def.url} is not a skills index`);
+      }
+      index = data.skills;
+    }
+    return index;
+  }
+
+  function baseUrl(name, entry) {
+    return new URL(entry.baseUrl || `${encodeURIComponent(name)}/`, def.url).href.replace(/\/?$/, '/');
+  }
+
+  return {
+    name: def.name,
+    type: 'index',
+    defaultRef: null,
+    lockInfo: () => ({ source: def.name, type: 'index', url: def.url }),
+
+    async list() {
+      return Object.keys(await load());
+    },
+
+    async fileList(name) {
+      const entry = (await load())[name];
+      if (!entry) return [];
+      return entry.files || SKILL_FILES;
+    },
+
+    async readFile(name, ref, file) {
+      const entry = (await load())[name];
+      if (!entry) return null;
+      return fetchBuffer(new URL(file, baseUrl(name, entry)).href, { maxBytes: MAX_FILE_BYTES });
+    },
+
+    async checksums(name) {
+      const entry = (await load())[name];
+      if (!entry || !entry.checksums) return null;
+      return parseChecksums({ files: entry.checksums, signature: entry.signature }, `${def.url} entry for ${name}`);
+    },
+  };
+}
+
+function localSource(def) {
+  function skillDir(name) {
+    checkSkillName(name);
+    const candidates = [path.join(def.path, name), path.join(def.path, 'skills', name)];
+    return candidates.find(dir => fs.existsSync(path.join(dir, 'SKILL.md'))) || null;
+  }
+
+  return {
+    name: def.name,
+    type: 'local',
+    defaultRef: null,
+    lockInfo: () => ({ source: def.name, type: 'local', path: def.path }),
+
+    async list() {
+      const roots = [def.path, path.join(def.path, 'skills')].filter(dir => fs.existsSync(dir));
+      const names = new Set();
+      for (const root of roots) {
+        for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+          if (entry.isDirectory() && fs.existsSync(path.join(root, entry.name, 'SKILL.md'))) {
+            names.add(entry.name);
+          }
+        }
+      }
+      return [...names].sort();
+    },
+
+    async fileList(name) {
+      const dir = skillDir(name);
+      return dir ? walkDir(dir) : [];
+    },
+
+    async readFile(name, ref, file) {
+      const dir = skillDir(name);
+      return dir ? readLocalFile(dir, file, { followLinks: Boolean(def.followLinks) }) : null;
+    },
+  };
+}
+
+// A single skill packed as .tgz, with SKILL.md at the top level or inside
+// one top-level directory (as `npm pack` produces)
+function tarballSource(def) {
+  let root = null;
+
+  function extract() {
+    if (root) return root;
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skunk-skill-'));
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+    try {
+      execFileSync('tar', ['-xzf', def.path, '-C', dir], { stdio: 'ignore' });
+    } catch (e) {
+      throw new Error(`Could not extract ${def.path} (is it a gzipped tarball?)`);
+    }
+
+    const entries = fs.readdirSync(dir);
+    if (fs.existsSync(path.join(dir, 'SKILL.md'))) {
+      root = dir;
+    } else if (entries.length === 1 && fs.existsSync(path.join(dir, entries[0], 'SKILL.md'))) {
+      root = path.join(dir, entries[0]);
+    } else {
+      throw new Error(`${def.path} does not contain a SKILL.md`);
+    }
+    return root;
+  }
+
+  // Prefer the name the skill gives itself, then its directory, then the
+  // tarball's file name minus any version suffix. Whichever it is becomes
+  // the installed directory name, so it must be a valid skill name.
+  function skillName() {
+    const dir = extract();
+    let config = null;
+    try {
+      config = JSON.parse(fs.readFileSync(path.join(dir, 'config.json'), 'utf8'));
+    } catch (e) {
+      // No usable config.json
+    }
+    if (config && typeof config.name === 'string' && config.name) {
+      return checkSkillName(config.name);
+    }
+
+    const dirName = path.basename(dir);
+    if (!dirName.startsWith('skunk-skill-') && dirName !== 'package') {
+      return checkSkillName(dirName);
+    }
+
+    return checkSkillName(path.basename(def.path).replace(/\.(tgz|tar\.gz)$/, '').replace(/-\d+\.\d+\.\d+.*$/, ''));
+  }
+
+  return {
+    name: def.name,
+    type: 'tarball',
+    defaultRef: null,
+    lockInfo: () => ({ source: def.name, type: 'tarball', path: def.path }),
+
+    async list() {
+      return [skillName()];
+    },
+
+    async fileList() {
+      return walkDir(extract());
+    },
+
+    async readFile(name, ref, file) {
+      return readLocalFile(extract(), file);
+    },
+  };
+}
+
+// Every regular file under dir as a relative POSIX path, skipping dotfiles,
+// node_modules and symlinks (which could point outside the skill)
+function walkDir(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...walkDir(dir, rel));
+    } else if (entry.isFile()) {
+      files.push(rel);
+    }
+  }
+  return files;
+}
+
+// Accepts the raw checksums.json or an already-parsed object
+function parseChecksums(raw, label) {
+  let data = raw;
+  if (Buffer.isBuffer(raw)) {
+    try {
+      data = JSON.parse(raw.toString('utf8'));
+    } catch (e) {
+      throw new Error(`${label} is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!data || typeof data.files !== 'object' || Array.isArray(data.files)) {
+    throw new Error(`${label} has no "files" checksums`);
+  }
+  return { files: data.files, signature: data.signature || null };
+}
+
+// Read one file of a local skill. Files a manifest lists are read even
+// when walkDir would skip them, so symlinks (the file or a directory on the
+// way to it) are only followed while they stay inside the skill directory,
+// unless followLinks is set because nothing will be copied.
+function readLocalFile(dir, file, { followLinks = false } = {}) {
+  const filePath = path.join(dir, file);
+  if (!fs.existsSync(filePath)) return null;
+
+  const realPath = fs.realpathSync(filePath);
+  if (!followLinks && !realPath.startsWith(fs.realpathSync(dir) + path.sep)) {
+    throw new Error(`${file} is a symlink to ${realPath}, outside the skill directory`);
+  }
+  if (fs.statSync(realPath).size > MAX_FILE_BYTES) {
+    throw new Error(`${file} is larger than ${formatBytes(MAX_FILE_BYTES)}`);
+  }
+  return fs.readFileSync(realPath);
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Fetching skills
+// ─────────────────────────────────────────────────────────────────────────
+
+// Split "[source:]name[@ref]"; ref may be a tag, branch or commit SHA
+function parseSkillSpec(spec) {
+  let source = null;
+  let rest = spec;
+
+  const colon = spec.indexOf(':');
+  if (colon > 0) {
+    source = spec.slice(0, colon);
+    rest = spec.slice(colon + 1);
+  }
+
+  const at = rest.indexOf('@');
+  const name = at <= 0 ? rest : rest.slice(0, at);
+  return { source, name: checkSkillName(name), ref: at <= 0 ? null : rest.slice(at + 1) || null };
+}
+
+// Fetch a skill's files from one source. Resolves with null when the source
+// doesn't have the skill; network and HTTP errors reject so a partial fetch
+// is never mistaken for a complete one, and so do files that don't match
+// the source's published checksums (unless options.verify is false).
+//
+// "verified" in the result is true when checksums were checked, false when
+// the source publishes checksums but had none for this skill or checking
+// was skipped, and null for local sources.
+async function fetchSkill(source, name, ref, options = {}) {
+  checkSkillName(name);
+  if (ref && !source.defaultRef) {
+    throw new Error(`Source "${source.name}" does not support versions (${name}@${ref})`);
+  }
+
+  ref = ref || source.defaultRef;
+
+  // Pin to a commit where the source supports it
+  let commit = null;
+  let commitError = null;
+  if (source.resolveCommit) {
+    try {
+      commit = await source.resolveCommit(ref);
+    } catch (e) {
+      commitError = e;
+    }
+  }
+
+  const at = commit || ref;
+  const files = {};
+
+  // A "files" manifest in config.json wins over listing the source
+  const config = await source.readFile(name, at, 'config.json');
+  let manifest = null;
+  if (config) {
+    files['config.json'] = config;
+    try {
+      const parsed = JSON.parse(config.toString('utf8'));
+      if (Array.isArray(parsed.files)) manifest = parsed.files;
+    } catch (e) {
+      // Invalid config.json is reported by validation, not here
+    }
+  }
+
+  const fileList = manifest
+    ? ['SKILL.md', ...manifest]
+    : await source.fileList(name, at);
+  const wanted = [...new Set(fileList.map(checkSkillPath))].filter(file => !files[file]);
+
+  if (wanted.length > MAX_SKILL_FILES) {
+    throw new Error(`Skill "${name}" has ${wanted.length} files (limit ${MAX_SKILL_FILES})`);
+  }
+
+  let total = config ? config.length : 0;
+  for (const file of wanted) {
+    const content = await source.readFile(name, at, file);
+    if (content === null) {
+      if (manifest && file !== 'SKILL.md') {
+        throw new Error(`${file} is listed in ${name}/config.json but missing`);
+      }
+      continue;
+    }
+
+    total += content.length;
+    if (total > MAX_SKILL_BYTES) {
+      throw new Error(`Skill "${name}" is larger than ${formatBytes(MAX_SKILL_BYTES)}`);
+    }
+    files[file] = content;
+  }
+
+  if (!files['SKILL.md']) return null;
+
+  let verified = null;
+  if (source.checksums) {
+    verified = options.verify === false
+      ? false
+      : verifySkillFiles(source.name, name, files, await source.checksums(name, at));
+  }
+
+  return { source, ref, commit, commitError, files, verified };
+}
+
+// Find a skill in the given source, or the first configured source that has it
+async function findSkill(name, { source, ref, verify } = {}) {
+  const candidates = source ? [getSource(source)] : listSources().map(createSource);
+
+  for (const candidate of candidates) {
+    if (ref && !candidate.defaultRef && !source) continue;
+
+    // A lower-priority source only wins when the ones above it really don't
+    // have the skill, so errors stop the search rather than falling through
+    const result = await fetchSkill(candidate, name, ref, { verify });
+    if (result) return result;
+  }
+
+  return null;
+}
+
+module.exports = {
+  SKILL_FILES,
+  BUILTIN_SOURCE,
+  listSources,
+  addSource,
+  removeSource,
+  describeSource,
+  getSource,
+  createSource,
+  sourceFromLockEntry,
+  parseSkillSpec,
+  fetchSkill,
+  findSkill,
+};
@@ -0,0 +1,442 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { exec, execFile, execSync, execFileSync } = require('child_process');
+const { promisify } = require('util');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WordPress targets
+//
+// Plugin commands run WP-CLI against a target site:
+//
+//   (default)           wp, or `studio wp` when Studio is installed, in the
+//                       current directory
+//   --path=<dir>        wp --path=<dir>
+//   --ssh=<user@host/path>
+//                       wp --ssh=<user@host/path>
+//   @<alias>            wp @<alias>, an alias from wp-cli.yml
+//   --studio=<site>     studio wp --path=<site dir>, a WordPress Studio site
+//                       by name (or directory)
+//   --site=<name>       any of the above, saved with `skunk sites add`
+//
+// and bulk commands run on several saved sites at once:
+//
+//   --sites=<a,b,group:clients>   named sites and site groups
+//   --all-sites                   every saved site
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SITES_FILE = path.join(process.env.HOME, '.skunk', 'sites.json');
+
+const TARGET_TYPES = ['path', 'ssh', 'studio', 'site'];
+
+const DEFAULT_CONCURRENCY = 4;
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Whether a command is on PATH. Names may come from skill manifests, so
+// they never reach a shell.
+function commandExists(cmd) {
+  try {
+    execFileSync('which', [cmd], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function shellQuote(value) {
+  return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Saved sites
+// ─────────────────────────────────────────────────────────────────────────
+
+function readSitesFile() {
+  if (!fs.existsSync(SITES_FILE)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(SITES_FILE, 'utf8')).sites || [];
+  } catch (e) {
+    throw new Error(`Invalid sites file ${SITES_FILE}: ${e.message}`);
+  }
+}
+
+function writeSitesFile(sites) {
+  fs.mkdirSync(path.dirname(SITES_FILE), { recursive: true });
+  fs.writeFileSync(SITES_FILE, JSON.stringify({ sites }, null, 2) + '\n');
+}
+
+function listSites() {
+  return readSitesFile().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getSite(name) {
+  const site = readSitesFile().find(s => s.name === name);
+  if (!site) {
+    throw new Error(`Unknown site: ${name}. Run "skunk sites list" to see saved sites.`);
+  }
+  return site;
+}
+
+// Save a target under a name; spec is what parseTargetArgs() returned
+function addSite(name, spec, groups = []) {
+  if (!/^[a-z0-9][a-z0-9._-]*$/i.test(name)) {
+    throw new Error(`Invalid site name "${name}" (use letters, numbers, dots, dashes and underscores)`);
+  }
+  if (!spec || spec.type === 'site') {
+    throw new Error('Give the site a target: --path=<dir>, --ssh=<user@host/path>, @<alias> or --studio=<site>');
+  }
+  for (const group of groups) {
+    if (!/^[a-z0-9][a-z0-9._-]*$/i.test(group)) {
+      throw new Error(`Invalid group name "${group}"`);
+    }
+  }
+
+  const sites = readSitesFile();
+  if (sites.some(s => s.name === name)) {
+    throw new Error(`Site "${name}" already exists`);
+  }
+
+  // Check it resolves now rather than on first use
+  resolveTarget(spec);
+
+  const site = { name, ...spec };
+  if (groups.length > 0) site.groups = [...new Set(groups)];
+  sites.push(site);
+  writeSitesFile(sites);
+  return site;
+}
+
+function removeSite(name) {
+  const sites = readSitesFile();
+  const remaining = sites.filter(s => s.name !== name);
+  if (remaining.length === sites.length) {
+    throw new Error(`Unknown site: ${name}`);
+  }
+  writeSitesFile(remaining);
+}
+
+// Expand a --sites selector ("a,b,group:clients") into saved sites, in the
+// order given; null selects every saved site
+function selectSites(selector) {
+  const sites = listSites();
+  if (selector === null) {
+    if (sites.length === 0) {
+      throw new Error('No saved sites. Add some with: skunk sites add <name> <target>');
+    }
+    return sites;
+  }
+
+  const selected = new Map();
+  for (const item of selector.split(',').map(s => s.trim()).filter(Boolean)) {
+    if (item.startsWith('group:')) {
+      const group = item.slice('group:'.length);
+      const members = sites.filter(s => (s.groups || []).includes(group));
+      if (members.length === 0) {
+        throw new Error(`No saved sites in group "${group}"`);
+      }
+      members.forEach(s => selected.set(s.name, s));
+    } else {
+      selected.set(item, getSite(item));
+    }
+  }
+
+  if (selected.size === 0) {
+    throw new Error('--sites needs at least one site or group:<name>');
+  }
+  return [...selected.values()];
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Parsing and resolving targets
+// ─────────────────────────────────────────────────────────────────────────
+
+// Pick the target out of a command's positional arguments and options, as
+// lib/args parses them. Returns the target spec (null for the default), the
+// saved sites picked by --sites / --all-sites (null when neither was given),
+// the --concurrency for bulk runs, and the positional arguments other than
+// an @alias.
+function parseTargetArgs(positionals, options = {}) {
+  const specs = [];
+  const rest = [];
+  let sites = null;
+  let concurrency = DEFAULT_CONCURRENCY;
+
+  for (const type of TARGET_TYPES) {
+    if (options[type] === undefined) continue;
+    if (!options[type]) throw new Error(`--${type} needs a value`);
+    specs.push({ type, value: options[type] });
+  }
+  for (const arg of positionals) {
+    if (/^@[\w.-]+$/.test(arg)) {
+      specs.push({ type: 'alias', value: arg.slice(1) });
+    } else {
+      rest.push(arg);
+    }
+  }
+
+  if (options['all-sites']) {
+    sites = selectSites(null);
+  } else if (options.sites !== undefined) {
+    sites = selectSites(options.sites);
+  }
+  if (options.concurrency !== undefined) {
+    concurrency = parseInt(options.concurrency, 10);
+    if (!(concurrency >= 1)) throw new Error('--concurrency must be a number of 1 or more');
+  }
+
+  if (specs.length > 1) {
+    throw new Error('Give only one of --site, --path, --ssh, --studio or @alias');
+  }
+  if (specs.length > 0 && sites) {
+    throw new Error('Give either one target or --sites / --all-sites, not both');
+  }
+
+  const spec = specs[0] || null;
+  if (spec && spec.type === 'path') {
+    spec.value = path.resolve(spec.value.replace(/^~(?=$|\/)/, process.env.HOME));
+  }
+  if (spec && spec.type === 'ssh') {
+    parseSsh(spec.value);
+  }
+  return { spec, sites, concurrency, rest };
+}
+
+function describeSpec(spec) {
+  switch (spec.type) {
+    case 'path': return `--path=${spec.value}`;
+    case 'ssh': return `--ssh=${spec.value}`;
+    case 'alias': return `@${spec.value}`;
+    case 'studio': return `Studio site ${spec.value}`;
+    default: return `site ${spec.value}`;
+  }
+}
+
+// Split a WP-CLI ssh target ([ssh:][user@]host[:port][/path]). Other
+// schemes (docker:, vagrant:) are passed to WP-CLI but can't take uploads,
+// so they give null. Throws on a user or host that ssh would read as an
+// option.
+function parseSsh(value) {
+  if (/^(docker|docker-compose|docker-compose-run|vagrant):/.test(value)) return null;
+  const m = value.match(/^(?:ssh:)?(?:([^@/:]+)@)?([^:/]+)(?::(\d+))?(\/.*)?$/);
+  if (!m) return null;
+  if ((m[1] || m[2]).startsWith('-')) {
+    throw new Error(`Invalid ssh target "${value}": the host can't start with "-"`);
+  }
+  return { user: m[1] || null, host: m[2], port: m[3] || null, path: m[4] || null };
+}
+
+// Aliases from the nearest wp-cli.yml (searching up from the current
+// directory, as WP-CLI does) and ~/.wp-cli/config.yml. Only the keys we
+// need are read: ssh, path, and group lists.
+function readWpCliAliases() {
+  const files = [];
+  for (let dir = process.cwd(); ; dir = path.dirname(dir)) {
+    const file = path.join(dir, 'wp-cli.yml');
+    if (fs.existsSync(file)) {
+      files.push(file);
+      break;
+    }
+    if (path.dirname(dir) === dir) break;
+  }
+  files.push(path.join(process.env.HOME, '.wp-cli', 'config.yml'));
+
+  const aliases = {};
+  for (const file of files.filter(f => fs.existsSync(f)).reverse()) {
+    let current = null;
+    for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+      const top = line.match(/^@([\w.-]+):\s*(.*)$/);
+      if (top) {
+        current = aliases[top[1]] = { file };
+        // Inline group: "@all: [@prod, @staging]"
+        const inline = top[2].match(/^\[(.*)\]$/);
+        if (inline) current.group = inline[1].split(',').map(s => s.trim()).filter(Boolean);
+        continue;
+      }
+      if (/^\S/.test(line)) {
+        current = null;
+        continue;
+      }
+      if (!current) continue;
+
+      const kv = line.match(/^\s+(ssh|path):\s*["']?(.*?)["']?\s*$/);
+      const item = line.match(/^\s+-\s*["']?(@[\w.-]+)["']?\s*$/);
+      if (kv) current[kv[1]] = kv[2];
+      if (item) (current.group = current.group || []).push(item[1]);
+    }
+  }
+  return aliases;
+}
+
+// Find a Studio site's directory from its name via `studio site list`
+function findStudioSite(name) {
+  if (fs.existsSync(name) && fs.statSync(name).isDirectory()) {
+    return path.resolve(name);
+  }
+  if (!commandExists('studio')) {
+    throw new Error('WordPress Studio is not installed');
+  }
+
+  let sites;
+  try {
+    sites = JSON.parse(execFileSync('studio', ['site', 'list', '--format=json'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }));
+  } catch (e) {
+    throw new Error('Could not list WordPress Studio sites (studio site list failed)');
+  }
+
+  const site = (Array.isArray(sites) ? sites : []).find(s => s.name === name || s.id === name);
+  if (!site || !site.path) {
+    throw new Error(`No WordPress Studio site named "${name}"`);
+  }
+  return site.path;
+}
+
+// A target runs WP-CLI commands against one site:
+//
+//   id           a stable key for the site, for remembering what was
+//                installed where
+//   label        what to show the user
+//   check()      null when the needed tools are installed, else why not
+//   command(a)   the shell command that runs `wp <a...>` on the site
+//   exec(a)      runs it without blocking, resolving with its stdout
+//   upload(file) where a local file can be read by that WP-CLI, copying it
+//                over ssh for remote sites; resolves with { path, cleanup },
+//                where cleanup() rejects if the copy couldn't be removed
+function resolveTarget(spec) {
+  if (!spec) return defaultTarget();
+
+  if (spec.type === 'site') {
+    const site = getSite(spec.value);
+    const target = resolveTarget({ type: site.type, value: site.value });
+    return Object.assign(target, { label: `${site.name} (${target.label})`, site: site.name });
+  }
+
+  switch (spec.type) {
+    case 'path':
+      return wpTarget(`path:${spec.value}`, spec.value, [`--path=${spec.value}`], null);
+
+    case 'ssh':
+      return wpTarget(`ssh:${spec.value}`, spec.value, [`--ssh=${spec.value}`], spec.value);
+
+    case 'alias': {
+      const alias = readWpCliAliases()[spec.value];
+      if (!alias) {
+        throw new Error(`No WP-CLI alias @${spec.value} in wp-cli.yml or ~/.wp-cli/config.yml`);
+      }
+      if (alias.group) {
+        throw new Error(`@${spec.value} is an alias group; target its sites one at a time`);
+      }
+      return wpTarget(`alias:${spec.value}`, `@${spec.value}`, [`@${spec.value}`], alias.ssh || null);
+    }
+
+    case 'studio': {
+      const sitePath = findStudioSite(spec.value);
+      return makeTarget({
+        type: 'studio',
+        id: `path:${sitePath}`,
+        label: `Studio site ${spec.value}`,
+        check: () => commandExists('studio') ? null : 'WordPress Studio is not installed',
+        command: args => ['studio', 'wp', `--path=${sitePath}`, ...args].map(shellQuote).join(' '),
+        upload: async file => ({ path: file, cleanup: () => {} }),
+      });
+    }
+
+    default:
+      throw new Error(`Unknown target type: ${spec.type}`);
+  }
+}
+
+// Today's behaviour: Studio if it's installed, else WP-CLI, in the cwd
+function defaultTarget() {
+  const cli = commandExists('studio') ? ['studio', 'wp'] : ['wp'];
+  return makeTarget({
+    type: 'default',
+    id: `path:${process.cwd()}`,
+    label: 'current directory',
+    check: () => commandExists('studio') || commandExists('wp') ? null : 'no WP-CLI or WordPress Studio found',
+    command: args => [...cli, ...args].map(shellQuote).join(' '),
+    upload: async file => ({ path: file, cleanup: () => {} }),
+  });
+}
+
+// remote is the WP-CLI --ssh value when the site is on another machine
+function wpTarget(id, label, globalArgs, remote) {
+  return makeTarget({
+    type: remote ? 'ssh' : 'wp',
+    id,
+    label,
+    check: () => commandExists('wp') ? null : `WP-CLI is required to reach ${label}`,
+    command: args => ['wp', ...globalArgs, ...args].map(shellQuote).join(' '),
+    upload: remote ? file => uploadOverSsh(remote, file) : async file => ({ path: file, cleanup: () => {} }),
+  });
+}
+
+// WP-CLI errors end up on stderr; keep the last line as the reason
+function makeTarget(target) {
+  target.exec = async args => {
+    try {
+      const { stdout } = await execAsync(target.command(args), { maxBuffer: 16 * 1024 * 1024 });
+      return stdout;
+    } catch (e) {
+      const lines = String(e.stderr || '').trim().split('\n').filter(Boolean);
+      throw new Error(lines.length ? lines[lines.length - 1].replace(/^Error:\s*/, '') : e.message);
+    }
+  };
+  return target;
+}
+
+async function uploadOverSsh(remoteSpec, file) {
+  const ssh = parseSsh(remoteSpec);
+  if (!ssh) {
+    throw new Error(`Can't copy files to ${remoteSpec}; only ssh targets take verified uploads (for free plugins, --skip-verify lets WP-CLI download it)`);
+  }
+
+  const host = ssh.user ? `${ssh.user}@${ssh.host}` : ssh.host;
+  const remote = `/tmp/skunk-${crypto.randomBytes(6).toString('hex')}-${path.basename(file)}`;
+  const portArgs = ssh.port ? ['-P', ssh.port] : [];
+
+  try {
+    await execFileAsync('scp', ['-q', ...portArgs, '--', file, `${host}:${remote}`]);
+  } catch (e) {
+    throw new Error(`Could not copy ${path.basename(file)} to ${host}: ${String(e.stderr || e.message).trim()}`);
+  }
+
+  return {
+    path: remote,
+    cleanup: () => execFileAsync('ssh', [...(ssh.port ? ['-p', ssh.port] : []), '--', host, 'rm', '-f', remote])
+      .then(() => {}, e => {
+        throw new Error(String(e.stderr || e.message).trim());
+      }),
+  };
+}
+
+// Run fn over items with at most `limit` in flight, resolving with the
+// results in the original order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  SITES_FILE,
+  commandExists,
+  DEFAULT_CONCURRENCY,
+  listSites,
+  addSite,
+  removeSite,
+  parseTargetArgs,
+  describeSpec,
+  resolveTarget,
+  mapLimit,
+};